@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+// Converts .svg files to react-native-svg components. Sprite sheets and
+// files with several top-level <svg>s become one component per icon.
+//
+//   svg2rn icons/ -o src/icons
+//   svg2rn logo.svg arrow.svg -o src/icons --ts --optimize
+//   svg2rn icons/ -o src/icons --watch
+//   svg2rn icons/ -o web/icons --target dom
+//   svg2rn icons/ -o src/icons --normalize --padding 2
+//   svg2rn icons/ -o src/icons --config svg2rn.json
+import { existsSync, mkdirSync, readFileSync, statSync, watch } from "node:fs";
+import { readdir, writeFile } from "node:fs/promises";
+import { basename, join, resolve } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  COMPONENT_OPTIONS_SCHEMA,
+  DEFAULT_GRID_SIZE,
+  DEFAULT_PRECISION,
+  OUTPUT_TARGETS,
+  findSvgParts,
+  formatDiagnostic,
+  hasErrors,
+  renderBarrel,
+  svgToReactNative,
+  toComponentIdentifier,
+  uniqueComponentNames,
+  validateOptions,
+} from "../src/converter/index.js";
+import { formatCode } from "../src/converter/formatCode.js";
+
+const USAGE = `Usage: svg2rn <file.svg | directory>... [options]
+
+Options:
+  -o, --out-dir <dir>    Output directory (default: current directory)
+      --ts               Write typed .tsx components and an index.ts
+      --target <target>  native (default), dom, xml or uri: react-native-svg
+                         elements, React DOM <svg>, <SvgXml> or .svg assets
+      --font-map <file>  JSON object mapping font families to React Native
+                         font names, e.g. { "Helvetica Neue": "Inter" }
+      --normalize        Fit the artwork to a square grid, baking transforms
+                         into the coordinates
+      --size <n>         Grid size used by --normalize (default: ${DEFAULT_GRID_SIZE})
+      --padding <n>      Units --normalize leaves around the artwork (default: 0)
+      --config <file>    JSON object of component options, e.g.
+                         { "propNames": { "fill": "color" }, "sizeProps": false }
+      --optimize         Optimize the SVGs before converting them
+      --precision <n>    Decimals kept by --optimize (default: ${DEFAULT_PRECISION})
+  -w, --watch            Regenerate when an input changes
+  -h, --help             Show this help`;
+
+const WATCH_DELAY = 100;
+
+function isSvgPath(path) {
+  return path.toLowerCase().endsWith(".svg");
+}
+
+// Expands the inputs to a sorted list of .svg files, searching directories
+// recursively.
+async function collectSvgFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    if (!statSync(input).isDirectory()) {
+      files.push(input);
+      continue;
+    }
+    const entries = await readdir(input, { recursive: true });
+    for (const entry of entries.sort()) {
+      const path = join(input, entry);
+      if (isSvgPath(entry) && statSync(path).isFile()) files.push(path);
+    }
+  }
+  return files;
+}
+
+// Reads the inputs into one entry per component: a file, or each part of a
+// sprite sheet or multi-root file. Returns the entries and the number of
+// files that couldn't be read.
+function readEntries(files) {
+  const entries = [];
+  let failures = 0;
+  for (const file of files) {
+    let source;
+    try {
+      source = readFileSync(file, "utf8");
+    } catch (error) {
+      console.error(`✗ ${file}: ${error.message}`);
+      failures++;
+      continue;
+    }
+    const parts = findSvgParts(source, toComponentIdentifier(basename(file)));
+    if (!parts) {
+      entries.push({ label: file, name: basename(file), source });
+      continue;
+    }
+    for (const [index, { id, componentName }] of parts.entries()) {
+      entries.push({
+        label: `${file} (${id ?? `<svg> ${index + 1}`})`,
+        name: componentName,
+        source,
+        part: index,
+      });
+    }
+  }
+  return { entries, failures };
+}
+
+// Converts every input and writes one component per file, or per icon of a
+// sprite sheet, plus the index barrel. Returns the number of failures.
+async function convertAll(inputs, options) {
+  const files = await collectSvgFiles(inputs);
+  const { entries, failures: readFailures } = readEntries(files);
+  const componentNames = uniqueComponentNames(entries.map(({ name }) => name));
+  const isAsset = options.target === "uri";
+  const extension = isAsset ? "svg" : options.ts ? "tsx" : "jsx";
+  const converted = [];
+  let failures = readFailures;
+
+  mkdirSync(options.outDir, { recursive: true });
+  for (const [index, { label, source, part }] of entries.entries()) {
+    const componentName = componentNames[index];
+    const { code, diagnostics } = svgToReactNative(source, {
+      ...options.componentOptions,
+      componentName,
+      part,
+      language: options.ts ? "ts" : "js",
+      target: options.target,
+      fontMap: options.fontMap,
+      normalize: options.normalize && {
+        size: options.size,
+        padding: options.padding,
+      },
+      optimize: options.optimize && { precision: options.precision },
+    });
+    // Code Prettier can't parse counts as a failure of its file only
+    let output = code;
+    let formatError = null;
+    if (!hasErrors(diagnostics) && !isAsset) {
+      try {
+        output = await formatCode(code, {
+          language: options.ts ? "ts" : "js",
+        });
+      } catch (error) {
+        formatError = error.message;
+      }
+    }
+    const failed = hasErrors(diagnostics) || formatError !== null;
+    console[failed ? "error" : "log"](
+      failed ? `✗ ${label}` : `✓ ${label} -> ${componentName}.${extension}`
+    );
+    for (const diagnostic of diagnostics) {
+      if (diagnostic.severity === "info") continue;
+      console.error(`    ${formatDiagnostic(diagnostic)}`);
+    }
+    if (formatError) console.error(`    Formatting failed: ${formatError}`);
+    if (failed) {
+      failures++;
+      continue;
+    }
+    await writeFile(
+      join(options.outDir, `${componentName}.${extension}`),
+      output
+    );
+    converted.push(componentName);
+  }
+
+  if (converted.length > 0 && !isAsset) {
+    const barrelName = options.ts ? "index.ts" : "index.js";
+    await writeFile(join(options.outDir, barrelName), renderBarrel(converted));
+  }
+  // Sprite sheets count their icons
+  const total = entries.length + readFailures;
+  const noun = total === files.length ? "files" : "icons";
+  console.log(
+    `${converted.length} of ${total} ${noun} converted into ${options.outDir}`
+  );
+  return failures;
+}
+
+// Reruns the conversion whenever an .svg under one of the inputs changes.
+// Changes are batched, since editors often write a file several times.
+function watchInputs(inputs, options) {
+  let timer = null;
+  let running = Promise.resolve();
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      running = running
+        .then(() => convertAll(inputs, options))
+        .catch((error) =>
+          console.error(`Conversion stopped: ${error.message}`)
+        );
+    }, WATCH_DELAY);
+  };
+
+  for (const input of inputs) {
+    const isDirectory = statSync(input).isDirectory();
+    watch(input, { recursive: isDirectory }, (_event, fileName) => {
+      if (!isDirectory || (fileName && isSvgPath(fileName))) schedule();
+    });
+  }
+  console.log("Watching for changes...");
+}
+
+async function main() {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      allowPositionals: true,
+      options: {
+        "out-dir": { type: "string", short: "o", default: "." },
+        ts: { type: "boolean", default: false },
+        target: { type: "string", default: "native" },
+        "font-map": { type: "string" },
+        config: { type: "string" },
+        normalize: { type: "boolean", default: false },
+        size: { type: "string", default: String(DEFAULT_GRID_SIZE) },
+        padding: { type: "string", default: "0" },
+        optimize: { type: "boolean", default: false },
+        precision: { type: "string", default: String(DEFAULT_PRECISION) },
+        watch: { type: "boolean", short: "w", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length === 0) {
+    console.error(USAGE);
+    return 2;
+  }
+  const missing = positionals.find((input) => !existsSync(input));
+  if (missing) {
+    console.error(`No such file or directory: ${missing}`);
+    return 2;
+  }
+  const precision = Number(values.precision);
+  if (!Number.isInteger(precision) || precision < 0 || precision > 8) {
+    console.error("--precision must be a whole number from 0 to 8");
+    return 2;
+  }
+
+  const size = Number(values.size);
+  const padding = Number(values.padding);
+  if (!(size > 0)) {
+    console.error("--size must be a positive number");
+    return 2;
+  }
+  if (!(padding >= 0 && padding * 2 < size)) {
+    console.error("--padding must be at least 0 and less than half of --size");
+    return 2;
+  }
+
+  if (!OUTPUT_TARGETS.includes(values.target)) {
+    console.error(`--target must be one of ${OUTPUT_TARGETS.join(", ")}`);
+    return 2;
+  }
+
+  let fontMap = {};
+  if (values["font-map"]) {
+    try {
+      fontMap = JSON.parse(readFileSync(values["font-map"], "utf8"));
+    } catch (error) {
+      console.error(`Can't read --font-map: ${error.message}`);
+      return 2;
+    }
+    if (typeof fontMap !== "object" || !fontMap || Array.isArray(fontMap)) {
+      console.error("--font-map must be a JSON object");
+      return 2;
+    }
+  }
+
+  let componentOptions = {};
+  if (values.config) {
+    try {
+      componentOptions = JSON.parse(readFileSync(values.config, "utf8"));
+    } catch (error) {
+      console.error(`Can't read --config: ${error.message}`);
+      return 2;
+    }
+    if (
+      typeof componentOptions !== "object" ||
+      !componentOptions ||
+      Array.isArray(componentOptions)
+    ) {
+      console.error("--config must be a JSON object");
+      return 2;
+    }
+    const unknown = Object.keys(componentOptions).find(
+      (name) => !Object.hasOwn(COMPONENT_OPTIONS_SCHEMA, name)
+    );
+    if (unknown) {
+      console.error(
+        `--config: unknown option "${unknown}", expected ${Object.keys(COMPONENT_OPTIONS_SCHEMA).join(", ")}`
+      );
+      return 2;
+    }
+    const invalid = validateOptions(componentOptions).find(
+      ({ severity }) => severity === "error"
+    );
+    if (invalid) {
+      console.error(`--config: ${invalid.message}`);
+      return 2;
+    }
+  }
+
+  const options = {
+    outDir: resolve(values["out-dir"]),
+    ts: values.ts,
+    target: values.target,
+    fontMap,
+    componentOptions,
+    normalize: values.normalize,
+    size,
+    padding,
+    optimize: values.optimize,
+    precision,
+  };
+  const failures = await convertAll(positionals, options);
+  if (values.watch) {
+    watchInputs(positionals, options);
+    return null; // Keep running
+  }
+  return failures > 0 ? 1 : 0;
+}
+
+main()
+  .then((exitCode) => {
+    if (exitCode !== null) process.exitCode = exitCode;
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
@@ -1,8 +1,29 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import Editor from "react-simple-code-editor";
-import prettier from "prettier/standalone";
-import parserBabel from "prettier/parser-babel";
-import parserHtml from "prettier/parser-html";
+import { toComponentIdentifier } from "./converter";
+import { useWorkerJob } from "./useWorkerJob";
+import { selectSourceLine } from "./selectSourceLine";
+import { applyPreset, BUILT_IN_PRESETS, findPreset } from "./settings";
+import {
+  clearHistory,
+  loadHistory,
+  loadPresets,
+  loadSession,
+  removeHistoryEntry,
+  saveHistoryEntry,
+  savePresets,
+  saveSession,
+} from "./storage";
+import { createShareUrl, isShareHash, readShareHash } from "./shareLink";
+import { renderThumbnail } from "./svgImage";
+import BatchPanel from "./BatchPanel";
+import DiagnosticsPanel from "./DiagnosticsPanel";
+import HistoryPanel from "./HistoryPanel";
+import JsxToSvgPanel from "./JsxToSvgPanel";
+import PartsPanel from "./PartsPanel";
+import PngExportPanel from "./PngExportPanel";
+import PreviewPanel from "./PreviewPanel";
+import SettingsPanel from "./SettingsPanel";
 import "./App.css";
 
 // Simple syntax highlighting function
@@ -12,141 +33,124 @@ function highlight(code, language) {
   return code;
 }
 
-function svgToReactNative(svg) {
-  if (!svg || typeof svg !== "string") return "// Invalid SVG input";
-
-  try {
-    // Remove XML declaration, DOCTYPE, and comments
-    svg = svg
-      .replace(/<\?xml[^>]*\?>/gi, "")
-      .replace(/<!DOCTYPE[^>]*>/gi, "")
-      .replace(/<!--[\s\S]*?-->/g, "");
-
-    // Extract the content between <svg> and </svg>, preserving attributes
-    const svgMatch = svg.match(/<svg([^>]*)>([\s\S]*?)<\/svg>/i);
-    if (!svgMatch) return "// No valid SVG content found";
-
-    const [, svgAttrs, svgContent] = svgMatch;
-
-    // Extract width and height from original SVG before removing them
-    const widthMatch = svgAttrs.match(/width\s*=\s*["']?([^"'\s>]+)/i);
-    const heightMatch = svgAttrs.match(/height\s*=\s*["']?([^"'\s>]+)/i);
-    const widthValue = widthMatch ? widthMatch[1] : "100";
-    const heightValue = heightMatch ? heightMatch[1] : "100";
-
-    console.log("Width/Height extraction:", {
-      widthMatch,
-      heightMatch,
-      widthValue,
-      heightValue,
-    });
-
-    // Remove xmlns attributes and width/height (we'll set dynamically)
-    let attributes = svgAttrs
-      .replace(/xmlns(:xlink)?="[^"]*"/g, "")
-      .replace(/(width|height)="[^"]*"/g, "")
-      .trim();
-
-    // Ensure viewBox is preserved if it exists
-    if (!attributes.includes("viewBox")) {
-      // Try to extract viewBox from original SVG
-      const viewBoxMatch = svgAttrs.match(/viewBox="([^"]*)"/i);
-      if (viewBoxMatch) {
-        attributes += ` viewBox="${viewBoxMatch[1]}"`;
-      }
-    }
+function isSvgFile(file) {
+  return file.type.includes("svg") || file.name.toLowerCase().endsWith(".svg");
+}
 
-    // Convert hyphenated attributes to camelCase
-    attributes = attributes.replace(
-      /([a-zA-Z0-9]+)-([a-zA-Z0-9]+)=/g,
-      (_, a, b) => {
-        return `${a}${b.charAt(0).toUpperCase()}${b.slice(1)}=`;
-      }
-    );
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
 
-    // Convert SVG tags to react-native-svg equivalents
-    let content = svgContent
-      // Capitalize tags (e.g., path -> Path)
-      .replace(/<([a-z]+)/gi, (m, tag) => {
-        if (tag === "svg") return "<Svg";
-        return `<${tag.charAt(0).toUpperCase()}${tag.slice(1)}`;
-      })
-      .replace(/<\/([a-z]+)/gi, (m, tag) => {
-        if (tag === "svg") return "</Svg";
-        return `</${tag.charAt(0).toUpperCase()}${tag.slice(1)}`;
-      })
-      // Convert class to className
-      .replace(/class=/g, "className=")
-      // Convert hyphenated attributes to camelCase in content
-      .replace(/([a-zA-Z0-9]+)-([a-zA-Z0-9]+)=/g, (_, a, b) => {
-        return `${a}${b.charAt(0).toUpperCase()}${b.slice(1)}=`;
-      })
-      // Remove style and script tags
-      .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, "")
-      .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, "")
-      // Ensure self-closing tags are properly formatted
-      .replace(/<([A-Za-z0-9]+)([^>]*)\/>/g, "<$1$2 />")
-      .replace(
-        /<([A-Za-z0-9]+)([^>]*)>([\s\S]*?)<\/\1>/g,
-        (m, tag, attrs, inner) => {
-          if (inner.trim() === "") return `<${tag}${attrs} />`;
-          return m;
-        }
-      )
-      // Handle Path elements - only replace fill attributes if they exist
-      .replace(
-        /<Path([^>]*)\s+fill\s*=\s*"[^"]*"([^>]*>)/g,
-        (match, before, after) => {
-          // This path had a fill attribute, replace it with fill={fillColor}
-          console.log("Replacing fill in path:", {
-            match: match.substring(0, 100) + "...",
-          });
-          return `<Path${before} fill={fillColor} ${after}`;
-        }
-      );
+const NO_PALETTE = { palette: [], defaultColorProps: {} };
 
-    // Remove empty lines and normalize whitespace
-    content = content
-      .replace(/^\s*\n/gm, "")
-      .replace(/\n\s*\n/g, "\n")
-      .trim();
-
-    // Indent content properly for JSX
-    content = content
-      .split("\n")
-      .map((line) => `        ${line}`)
-      .join("\n");
-
-    // Extract viewBox from original SVG if it exists, or create one from width/height
-    const viewBoxMatch = svgAttrs.match(/viewBox\s*=\s*["']([^"']+)["']/i);
-    let viewBox = viewBoxMatch
-      ? viewBoxMatch[1]
-      : `0 0 ${widthValue} ${heightValue}`;
-
-    console.log("Final SVG generation:", {
-      widthValue,
-      heightValue,
-      viewBox,
-      contentLength: content.length,
-    });
+const OUTPUT_TARGET_LABELS = {
+  native: "react-native-svg",
+  dom: "React DOM",
+  xml: "SvgXml",
+  uri: "SvgUri asset (.svg)",
+};
 
-    // Generate just the SVG JSX code (like in exampleOutput.txt)
-    return `<Svg width={width} height={height} viewBox="${viewBox}" fill={fillColor}>\n${content}\n</Svg>`;
-  } catch (error) {
-    console.error("SVG parsing error:", error);
-    return "// Error parsing SVG: " + error.message;
-  }
+// File extension of the output: the "uri" target is a plain .svg
+function outputExtension(target, language) {
+  if (target === "uri") return "svg";
+  return language === "ts" ? "tsx" : "jsx";
 }
 
+// Inputs above this many characters are shown without syntax highlighting,
+// which would otherwise slow down every keystroke
+const HIGHLIGHT_LIMIT = 100000;
+
 function App() {
-  const [svgInput, setSvgInput] = useState("");
+  const [session] = useState(loadSession); // Input and settings of the last visit
+  const [svgInput, setSvgInput] = useState(session.svgInput);
   const [debouncedInput, setDebouncedInput] = useState(svgInput);
   const [converted, setConverted] = useState("// JSX output will appear here");
   const [error, setError] = useState(null); // For general conversion errors
+  const [diagnostics, setDiagnostics] = useState([]); // Errors and warnings of the last conversion, with source locations
   const [formattingError, setFormattingError] = useState(null); // For Prettier errors
   const [copySuccess, setCopySuccess] = useState(""); // State for copy feedback
   const [isDragOver, setIsDragOver] = useState(false); // State for drag over feedback
   const [fileError, setFileError] = useState(null); // State for file-related errors
+  const [fileName, setFileName] = useState(session.fileName); // Name of the dropped file, used for the component name
+  const [colorOverrides, setColorOverrides] = useState(session.colorOverrides); // color -> prop name, or null to hard-code
+  const [settings, setSettings] = useState(session.settings); // Conversion settings, see DEFAULT_SETTINGS
+  const {
+    outputMode,
+    language,
+    target,
+    themeColors,
+    fontMap,
+    optimizeEnabled,
+    precision,
+    normalizeEnabled,
+    gridSize,
+    gridPadding,
+    codeStyle,
+    componentOptions,
+  } = settings;
+  const [fonts, setFonts] = useState([]); // Font families named in the input
+  const [stats, setStats] = useState(null); // Size and element counts of the last conversion
+  const [history, setHistory] = useState(loadHistory); // Recent conversions, newest first
+  const historyIdRef = useRef(null); // History entry of the current input, created by its first conversion
+  const [presets, setPresets] = useState(loadPresets); // Saved presets, listed after BUILT_IN_PRESETS
+  const [settingsFeedback, setSettingsFeedback] = useState(""); // Feedback of the share link and preset buttons
+  const [linkError, setLinkError] = useState(null); // Why the share link the page was opened with didn't load
+  const inputPanelRef = useRef(null); // Scroll container of the input editor
+  const [batchFiles, setBatchFiles] = useState(null); // Files of a multi-file drop: { fileName, source, error }
+  const [previewEnabled, setPreviewEnabled] = useState(true); // Show the rendered original and converted SVG
+  const [preview, setPreview] = useState(null); // { svg, tree, props } of the last conversion, for the preview and the PNG export
+  const [pngExportOpen, setPngExportOpen] = useState(false); // Show the PNG export options
+  const [{ palette, defaultColorProps }, setDetectedPalette] =
+    useState(NO_PALETTE); // Distinct source colors, each of which becomes a color prop
+  const [batchResults, setBatchResults] = useState(null); // Converted files of a multi-file drop
+  const [parts, setParts] = useState(null); // Icons of a sprite sheet or multi-root input, see listSvgParts
+  const [partSelection, setPartSelection] = useState({ svg: null, index: 0 }); // Part shown in the output, for the input it was picked in
+  // New input starts at its first part
+  const selectedPart =
+    partSelection.svg === debouncedInput ? partSelection.index : 0;
+  const [direction, setDirection] = useState("toReactNative"); // "toReactNative", or "toSvg" to convert JSX back to SVG
+
+  // Conversion, batch conversion and formatting each get their own worker,
+  // so a new job only cancels a stale job of the same kind
+  const { run: runConversion, busy: isConverting } = useWorkerJob();
+  const { run: runBatch, busy: isConvertingBatch } = useWorkerJob();
+  const { run: runFormat } = useWorkerJob();
+
+  const extension = outputExtension(target, language);
+  const downloadName =
+    parts?.[selectedPart]?.componentName ?? toComponentIdentifier(fileName);
+
+  const optimizeOptions = useMemo(
+    () => (optimizeEnabled ? { precision } : false),
+    [optimizeEnabled, precision]
+  );
+
+  const normalizeOptions = useMemo(
+    () => (normalizeEnabled ? { size: gridSize, padding: gridPadding } : false),
+    [normalizeEnabled, gridSize, gridPadding]
+  );
+
+  const updateSetting = useCallback((name, value) => {
+    setSettings((current) => ({ ...current, [name]: value }));
+  }, []);
+
+  const updateCodeStyle = useCallback((option, value) => {
+    setSettings((current) => ({
+      ...current,
+      codeStyle: { ...current.codeStyle, [option]: value },
+    }));
+  }, []);
+
+  const updateColorOverride = useCallback((color, propName) => {
+    setColorOverrides((current) => ({ ...current, [color]: propName }));
+  }, []);
+
+  const updateFontMap = useCallback((family, font) => {
+    setSettings((current) => ({
+      ...current,
+      fontMap: { ...current.fontMap, [family]: font },
+    }));
+  }, []);
 
   // Debounce svgInput for performance, especially with large inputs
   useEffect(() => {
@@ -154,6 +158,141 @@ function App() {
     return () => clearTimeout(handler);
   }, [svgInput]);
 
+  // Restore the last session on reload
+  useEffect(() => {
+    saveSession({
+      svgInput: debouncedInput,
+      fileName,
+      colorOverrides,
+      settings,
+    });
+  }, [debouncedInput, fileName, colorOverrides, settings]);
+
+  // Replaces the input and everything it was converted with, from the
+  // history or a share link
+  const restoreConversion = useCallback(
+    ({ svgInput, fileName, colorOverrides, settings }, historyId = null) => {
+      historyIdRef.current = historyId;
+      setSvgInput(svgInput);
+      setDebouncedInput(svgInput);
+      setFileName(fileName);
+      setColorOverrides(colorOverrides);
+      setSettings(settings);
+      setFileError(null);
+    },
+    []
+  );
+
+  // Open the conversion of a share link, then drop it from the address bar
+  // so a reload keeps later edits
+  useEffect(() => {
+    const { hash, pathname, search } = window.location;
+    if (!isShareHash(hash)) return;
+    try {
+      restoreConversion(readShareHash(hash));
+    } catch (err) {
+      setLinkError(err.message);
+    }
+    window.history.replaceState(null, "", pathname + search);
+  }, [restoreConversion]);
+
+  // Adds the input to the history, or updates its entry when it was
+  // already converted before (e.g. with other settings)
+  const recordConversion = useCallback(
+    (svg) => {
+      historyIdRef.current ??= `${Date.now()}`;
+      const entry = {
+        id: historyIdRef.current,
+        fileName,
+        svg,
+        colorOverrides,
+        settings,
+        timestamp: Date.now(),
+      };
+      renderThumbnail(svg)
+        .catch(() => null) // Listed without a thumbnail
+        .then((thumbnail) =>
+          setHistory(saveHistoryEntry({ ...entry, thumbnail }))
+        );
+    },
+    [fileName, colorOverrides, settings]
+  );
+
+  const handleRestoreHistory = useCallback(
+    (entry) =>
+      restoreConversion(
+        {
+          svgInput: entry.svg,
+          fileName: entry.fileName,
+          colorOverrides: entry.colorOverrides,
+          settings: entry.settings,
+        },
+        entry.id
+      ),
+    [restoreConversion]
+  );
+
+  const showSettingsFeedback = useCallback((message) => {
+    setSettingsFeedback(message);
+    setTimeout(() => setSettingsFeedback(""), 1500);
+  }, []);
+
+  // --- Presets ---
+  const allPresets = useMemo(
+    () => [...BUILT_IN_PRESETS, ...presets],
+    [presets]
+  );
+  const activePreset = findPreset(allPresets, settings);
+
+  const handleApplyPreset = useCallback(
+    (name) => {
+      const preset = allPresets.find((candidate) => candidate.name === name);
+      if (preset) setSettings((current) => applyPreset(current, preset));
+    },
+    [allPresets]
+  );
+
+  const handleSavePreset = useCallback(() => {
+    const name = window.prompt("Preset name")?.trim();
+    if (!name) return;
+    if (BUILT_IN_PRESETS.some((preset) => preset.name === name)) {
+      showSettingsFeedback("A built-in preset has that name");
+      return;
+    }
+    // A preset with the same name is replaced
+    const next = [
+      ...presets.filter((preset) => preset.name !== name),
+      { name, settings },
+    ];
+    setPresets(next);
+    showSettingsFeedback(
+      savePresets(next) ? "Preset saved" : "Preset not saved: storage is full"
+    );
+  }, [presets, settings, showSettingsFeedback]);
+
+  const handleDeletePreset = useCallback(() => {
+    const next = presets.filter((preset) => preset !== activePreset);
+    setPresets(next);
+    savePresets(next);
+  }, [presets, activePreset]);
+
+  // --- Copy a link that reopens this conversion ---
+  const handleCopyShareLink = useCallback(() => {
+    const url = createShareUrl({
+      svgInput,
+      fileName,
+      colorOverrides,
+      settings,
+    });
+    navigator.clipboard.writeText(url).then(
+      () => showSettingsFeedback("Link copied!"),
+      (err) => {
+        showSettingsFeedback("Failed to copy!");
+        console.error("Could not copy the link: ", err);
+      }
+    );
+  }, [svgInput, fileName, colorOverrides, settings, showSettingsFeedback]);
+
   // Prevent default drag and drop behavior on the entire document
   useEffect(() => {
     const preventDefaults = (e) => {
@@ -185,7 +324,7 @@ function App() {
   // --- Highlight Syntax (Simplified) ---
   const highlight = (code, language) => {
     // Only apply highlighting logic for HTML/SVG input
-    if (language === "html") {
+    if (language === "html" && code.length <= HIGHLIGHT_LIMIT) {
       const syntaxHighlight = (text) =>
         text
           .replace(/</g, "&lt;")
@@ -207,13 +346,13 @@ function App() {
           );
       return syntaxHighlight(code);
     }
-    // Return raw code for JSX output (no highlighting)
+    // Return raw code for JSX output and very large input (no highlighting)
     return code.replace(/</g, "&lt;").replace(/>/g, "&gt;");
   };
 
   // --- Copy to Clipboard ---
   const handleCopy = useCallback(() => {
-    if (converted && !converted.startsWith("// Error")) {
+    if (converted && !error) {
       navigator.clipboard.writeText(converted).then(
         () => {
           setCopySuccess("Copied!");
@@ -229,7 +368,106 @@ function App() {
       setCopySuccess("Nothing to copy");
       setTimeout(() => setCopySuccess(""), 1500);
     }
-  }, [converted]);
+  }, [converted, error]);
+
+  // Convert every file of a multi-file drop with the current settings
+  useEffect(() => {
+    let isMounted = true;
+    if (!batchFiles) {
+      setBatchResults(null);
+      return;
+    }
+    runBatch({
+      type: "convertBatch",
+      files: batchFiles,
+      options: {
+        ...componentOptions,
+        language,
+        target,
+        colorProps: themeColors ? undefined : false,
+        fontMap,
+        normalize: normalizeOptions,
+        optimize: optimizeOptions,
+      },
+      codeStyle,
+    }).then(
+      (results) => {
+        if (isMounted) setBatchResults(results);
+      },
+      (err) => {
+        if (err.name === "AbortError") return; // Settings changed meanwhile
+        console.error("Batch conversion error:", err);
+        if (isMounted) {
+          setBatchResults(
+            batchFiles.map((file) => ({
+              ...file,
+              componentName: toComponentIdentifier(file.fileName),
+              error: file.error || "Conversion failed: " + err.message,
+            }))
+          );
+        }
+      }
+    );
+    return () => {
+      isMounted = false;
+    };
+  }, [
+    batchFiles,
+    componentOptions,
+    language,
+    target,
+    themeColors,
+    fontMap,
+    normalizeOptions,
+    optimizeOptions,
+    codeStyle,
+    runBatch,
+  ]);
+
+  // A new file starts without the color overrides of the previous one
+  const openFile = useCallback((source, name) => {
+    historyIdRef.current = null;
+    setSvgInput(source);
+    setFileName(name);
+    setColorOverrides({});
+  }, []);
+
+  const handleOpenBatchFile = useCallback(
+    ({ source, fileName }) => openFile(source, fileName),
+    [openFile]
+  );
+
+  // --- Jump to the source of a diagnostic ---
+  const handleSelectDiagnostic = useCallback(({ line, column }) => {
+    const textarea = document.getElementById("svg-input");
+    const panel = inputPanelRef.current;
+    if (!textarea || !panel) return;
+    selectSourceLine(textarea, panel, { line, column });
+  }, []);
+
+  // --- Download as a component file ---
+  const handleDownload = useCallback(() => {
+    if (!converted || error) return;
+    const blob = new Blob([converted], {
+      type: extension === "svg" ? "image/svg+xml" : "text/plain",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${downloadName}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [converted, error, extension, downloadName]);
+
+  // Converts every part of a sprite sheet like a multi-file drop
+  const handleConvertAllParts = useCallback(() => {
+    setBatchFiles(
+      parts.map(({ componentName, svg }) => ({
+        fileName: `${componentName}.svg`,
+        source: svg,
+      }))
+    );
+  }, [parts]);
 
   // --- Drag and Drop Handlers ---
   const handleDragOver = useCallback((e) => {
@@ -244,126 +482,152 @@ function App() {
     setIsDragOver(false);
   }, []);
 
-  const handleDrop = useCallback((e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    setIsDragOver(false);
-    setFileError(null);
+  const handleDrop = useCallback(
+    (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      setIsDragOver(false);
+      setFileError(null);
 
-    const files = e.dataTransfer.files;
-    if (files.length === 0) {
-      setFileError("No files dropped");
-      return;
-    }
+      const files = Array.from(e.dataTransfer.files);
+      if (files.length === 0) {
+        setFileError("No files dropped");
+        return;
+      }
 
-    const file = files[0];
+      // Several files at once are converted as an icon set
+      if (files.length > 1) {
+        setBatchFiles(null);
+        Promise.all(
+          files.map(async (file) => {
+            if (!isSvgFile(file)) {
+              return {
+                fileName: file.name,
+                source: null,
+                error: "Not an SVG file",
+              };
+            }
+            try {
+              return { fileName: file.name, source: await file.text() };
+            } catch (err) {
+              return {
+                fileName: file.name,
+                source: null,
+                error: "Failed to read the file: " + err.message,
+              };
+            }
+          })
+        ).then(setBatchFiles);
+        return;
+      }
 
-    // Check if it's an SVG file
-    if (
-      !file.type.includes("svg") &&
-      !file.name.toLowerCase().endsWith(".svg")
-    ) {
-      setFileError("Please drop an SVG file (.svg)");
-      return;
-    }
+      const file = files[0];
 
-    // Read the file content
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      try {
-        const content = event.target.result;
-        setSvgInput(content);
-        setFileError(null);
-      } catch (err) {
-        setFileError("Error reading file: " + err.message);
+      // Check if it's an SVG file
+      if (!isSvgFile(file)) {
+        setFileError("Please drop an SVG file (.svg)");
+        return;
       }
-    };
-    reader.onerror = () => {
-      setFileError("Failed to read the file");
-    };
-    reader.readAsText(file);
-  }, []);
 
-  // Prettify SVG input for display (but not for conversion)
-  // Use a separate useEffect for SVG input formatting logic
-  useEffect(() => {
-    let isMounted = true; // Flag to prevent state update on unmounted component
-    async function formatSvgInput() {
-      if (typeof svgInput === "string" && svgInput.trim()) {
-        setFormattingError(null); // Clear previous formatting errors related to SVG input
+      // Read the file content
+      const reader = new FileReader();
+      reader.onload = (event) => {
         try {
-          if (svgInput.length < 100000) {
-            await prettier.format(svgInput, {
-              parser: "html",
-              plugins: [parserHtml],
-            });
-          } else {
-            console.warn(
-              "Skipping Prettier formatting for SVG input due to large size"
-            );
-            if (isMounted) {
-              setFormattingError(
-                "SVG input too large to format, displaying raw SVG"
-              );
-            }
-          }
+          openFile(event.target.result, file.name);
+          setFileError(null);
         } catch (err) {
-          console.warn("SVG formatting error:", err);
-          if (isMounted) {
-            setFormattingError("SVG formatting failed: " + err.message);
-          }
-        }
-      } else {
-        // Clear formatting error if input is empty
-        if (isMounted) {
-          setFormattingError(null);
+          setFileError("Error reading file: " + err.message);
         }
+      };
+      reader.onerror = () => {
+        setFileError("Failed to read the file");
+      };
+      reader.readAsText(file);
+    },
+    [openFile]
+  );
+
+  // --- Format Input: prettify the SVG and write it back into the editor ---
+  const handleFormatInput = useCallback(() => {
+    if (!svgInput.trim()) return;
+    setFormattingError(null);
+    runFormat({ type: "format", source: svgInput }).then(
+      (formatted) => setSvgInput(formatted),
+      (err) => {
+        if (err.name === "AbortError") return; // Replaced by a newer request
+        console.warn("SVG formatting error:", err);
+        setFormattingError("SVG formatting failed: " + err.message);
       }
-    }
-    formatSvgInput();
-    return () => {
-      isMounted = false;
-    }; // Cleanup function
-  }, [svgInput]);
+    );
+  }, [svgInput, runFormat]);
 
-  // Convert SVG to React Native component
+  // Convert SVG to React Native component. The worker job is cancelled
+  // as soon as newer input or settings arrive.
   useEffect(() => {
     let isMounted = true; // Flag to prevent state update on unmounted component
     async function convertAndFormat() {
       if (debouncedInput) {
         setError(null); // Clear previous conversion errors
-        setFormattingError(null); // Clear previous formatting errors
 
         try {
-          const jsx = svgToReactNative(debouncedInput);
-          console.log("Raw JSX length:", jsx.length); // Log raw JSX size
-
-          if (
-            jsx.startsWith("// Error") ||
-            jsx.startsWith("// No valid") ||
-            jsx.startsWith("// Invalid")
-          ) {
-            // If svgToReactNative returned an error comment
-            if (isMounted) {
-              setConverted(jsx);
-              setError(jsx.substring(3).trim()); // Show the error message
-            }
+          const result = await runConversion({
+            type: "convert",
+            svg: debouncedInput,
+            options: {
+              ...componentOptions,
+              output: outputMode,
+              componentName: toComponentIdentifier(fileName),
+              part: selectedPart,
+              language,
+              target,
+              colorProps: themeColors ? colorOverrides : false,
+              fontMap,
+              normalize: normalizeOptions,
+              optimize: optimizeOptions,
+            },
+            codeStyle,
+            preview: previewEnabled || pngExportOpen,
+          });
+          if (!isMounted) return;
+          setStats(result.stats);
+          setDiagnostics(result.diagnostics);
+          setDetectedPalette({
+            palette: result.palette,
+            defaultColorProps: result.defaultColorProps,
+          });
+          setFonts(result.fonts);
+          setPreview(result.preview);
+          setParts(result.parts);
+          console.log("Raw JSX length:", result.code.length); // Log raw JSX size
+
+          const firstError = result.diagnostics.find(
+            ({ severity }) => severity === "error"
+          );
+          if (firstError) {
+            // The conversion stopped, show why in place of the output
+            setConverted(`// Error: ${firstError.message}`);
+            setError(firstError.message); // Show the error message
           } else {
-            // For SVG JSX output, we don't need Prettier formatting
-            // Just display the raw JSX output
-            if (isMounted) {
-              setConverted(jsx);
-              setFormattingError(null); // Clear any previous formatting error
-            }
+            // The worker already ran the output through Prettier
+            setConverted(result.code);
+            recordConversion(debouncedInput);
+            setFormattingError(
+              result.formatError &&
+                "Output formatting failed: " + result.formatError
+            );
           }
         } catch (conversionError) {
-          // Catch errors from svgToReactNative itself (rare due to internal try-catch)
+          if (conversionError.name === "AbortError") return; // Superseded by a newer job
+          // Errors thrown while converting (the converter reports its own
+          // failures as diagnostics)
           console.error("Conversion Error:", conversionError);
           const errorMsg = "Conversion failed: " + conversionError.message;
           if (isMounted) {
             setConverted(`// ${errorMsg}`);
             setError(errorMsg);
-            setFormattingError(null); // Clear any previous formatting error
+            setDiagnostics([]);
+            setPreview(null);
+            setParts(null);
           }
         }
       } else {
@@ -371,7 +635,12 @@ function App() {
         if (isMounted) {
           setConverted("");
           setError(null);
-          setFormattingError(null);
+          setDiagnostics([]);
+          setDetectedPalette(NO_PALETTE);
+          setFonts([]);
+          setPreview(null);
+          setParts(null);
+          setStats(null);
         }
       }
     }
@@ -379,7 +648,25 @@ function App() {
     return () => {
       isMounted = false;
     }; // Cleanup function
-  }, [debouncedInput]); // Rerun when debouncedInput changes
+  }, [
+    debouncedInput,
+    componentOptions,
+    outputMode,
+    fileName,
+    selectedPart,
+    language,
+    target,
+    themeColors,
+    colorOverrides,
+    fontMap,
+    normalizeOptions,
+    optimizeOptions,
+    codeStyle,
+    previewEnabled,
+    pngExportOpen,
+    recordConversion,
+    runConversion,
+  ]); // Rerun when input or output settings change
 
   return (
     // Outer container for title and editors
@@ -395,11 +682,48 @@ function App() {
       >
         SVG to React Native SVG Converter
       </h1>
-
-      {/* Editors Container */}
+      {/* Conversion direction */}
       <div
+        role="tablist"
         style={{
           display: "flex",
+          justifyContent: "center",
+          gap: "5px",
+          padding: "6px 0",
+          borderBottom: "1px solid #ccc",
+        }}
+      >
+        {[
+          ["toReactNative", "SVG → React Native"],
+          ["toSvg", "React Native → SVG"],
+        ].map(([value, label]) => (
+          <button
+            key={value}
+            role="tab"
+            aria-selected={direction === value}
+            onClick={() => setDirection(value)}
+            style={{
+              padding: "5px 10px",
+              cursor: "pointer",
+              fontWeight: direction === value ? "bold" : "normal",
+            }}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {direction === "toSvg" && (
+        <JsxToSvgPanel
+          convertedCode={error ? "" : converted}
+          highlight={(code) => highlight(code, "html")}
+        />
+      )}
+
+      {/* Editors Container, kept mounted while converting back to SVG so
+          the input survives switching directions */}
+      <div
+        style={{
+          display: direction === "toSvg" ? "none" : "flex",
           flex: 1, // Take remaining vertical space
           width: "100vw", // Keep full width
           // Removed height: "100vh" as flex: 1 handles height
@@ -425,15 +749,35 @@ function App() {
           onDragLeave={handleDragLeave}
           onDrop={handleDrop}
           data-drop-zone="true"
+          ref={inputPanelRef}
         >
-          <h2 style={{ marginTop: 0 }}>
-            SVG Input
-            <span
-              style={{ fontSize: "14px", color: "#666", fontWeight: "normal" }}
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+            }}
+          >
+            <h2 style={{ marginTop: 0 }}>
+              SVG Input
+              <span
+                style={{
+                  fontSize: "14px",
+                  color: "#666",
+                  fontWeight: "normal",
+                }}
+              >
+                (Paste SVG code or drag & drop .svg files)
+              </span>
+            </h2>
+            <button
+              onClick={handleFormatInput}
+              disabled={!svgInput.trim()}
+              style={{ padding: "5px 10px", cursor: "pointer" }}
             >
-              (Paste SVG code or drag & drop .svg file)
-            </span>
-          </h2>
+              Format input
+            </button>
+          </div>
           {/* Display file error first if it exists */}
           {fileError && (
             <p style={{ color: "red", margin: "8px 0 0", fontSize: 14 }}>
@@ -472,7 +816,7 @@ function App() {
                 pointerEvents: "none",
               }}
             >
-              Drop SVG file here
+              Drop SVG files here
             </div>
           )}
           {/* SVG Input Editor */}
@@ -488,6 +832,7 @@ function App() {
               lineHeight: 1.5, // Improved readability
             }}
             textareaClassName="editor-textarea"
+            textareaId="svg-input"
           />
         </div>
         {/* Right Panel: React Native SVG Output */}
@@ -511,11 +856,74 @@ function App() {
             <h2 style={{ marginTop: 0, marginBottom: 0 }}>
               React Native SVG Output
             </h2>
+            {(isConverting || isConvertingBatch) && (
+              <span className="busy-indicator" role="status">
+                Converting…
+              </span>
+            )}
+            <select
+              value={target}
+              onChange={(e) => updateSetting("target", e.target.value)}
+              title="Output target"
+              style={{
+                marginLeft: "auto",
+                marginRight: "10px",
+                padding: "4px",
+              }}
+            >
+              {Object.entries(OUTPUT_TARGET_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={outputMode}
+              onChange={(e) => updateSetting("outputMode", e.target.value)}
+              disabled={target === "uri"}
+              style={{ marginRight: "10px", padding: "4px" }}
+            >
+              <option value="component">
+                Component ({toComponentIdentifier(fileName)})
+              </option>
+              <option value="snippet">Element snippet</option>
+            </select>
+            <select
+              value={language}
+              onChange={(e) => updateSetting("language", e.target.value)}
+              disabled={target === "uri"}
+              style={{ marginRight: "10px", padding: "4px" }}
+            >
+              <option value="js">JS</option>
+              <option value="ts">TS</option>
+            </select>
             <button
               onClick={handleCopy}
               style={{ padding: "5px 10px", cursor: "pointer" }}
             >
-              Copy JSX
+              Copy {extension.toUpperCase()}
+            </button>
+            <button
+              onClick={handleDownload}
+              style={{
+                marginLeft: "5px",
+                padding: "5px 10px",
+                cursor: "pointer",
+              }}
+            >
+              Download .{extension}
+            </button>
+            <button
+              onClick={() => setPngExportOpen((open) => !open)}
+              aria-expanded={pngExportOpen}
+              title="Render the input to PNG at @1x, @2x and @3x"
+              style={{
+                marginLeft: "5px",
+                padding: "5px 10px",
+                cursor: "pointer",
+              }}
+            >
+              Export PNG
             </button>
             {copySuccess && (
               <span
@@ -525,8 +933,396 @@ function App() {
               </span>
             )}
           </div>
-          {/* Display Errors/Warnings */}
-          {error && (
+          {/* Raster exports of the converted tree, reset for each source */}
+          {pngExportOpen && preview && !error && (
+            <PngExportPanel
+              key={preview.svg}
+              preview={preview}
+              name={downloadName}
+            />
+          )}
+          {/* Icons of a sprite sheet or multi-root input */}
+          {parts && (
+            <PartsPanel
+              parts={parts}
+              selected={selectedPart}
+              onSelect={(index) =>
+                setPartSelection({ svg: debouncedInput, index })
+              }
+              onConvertAll={handleConvertAllParts}
+            />
+          )}
+          {/* Multi-file drop results */}
+          {batchResults && (
+            <BatchPanel
+              results={batchResults}
+              extension={extension}
+              onOpen={handleOpenBatchFile}
+              onClear={() => setBatchFiles(null)}
+            />
+          )}
+          {/* Presets and sharing */}
+          <div
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              alignItems: "center",
+              gap: "8px",
+              marginBottom: "10px",
+              fontSize: 13,
+              flexShrink: 0,
+            }}
+          >
+            <label>
+              Preset{" "}
+              <select
+                value={activePreset?.name ?? ""}
+                onChange={(e) => handleApplyPreset(e.target.value)}
+                style={{ padding: "2px" }}
+              >
+                {!activePreset && (
+                  <option value="" disabled>
+                    Custom settings
+                  </option>
+                )}
+                {allPresets.map(({ name }) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={handleSavePreset}
+              style={{ padding: "3px 8px", cursor: "pointer" }}
+            >
+              Save as preset…
+            </button>
+            <button
+              onClick={handleDeletePreset}
+              disabled={!presets.includes(activePreset)}
+              style={{ padding: "3px 8px", cursor: "pointer" }}
+            >
+              Delete preset
+            </button>
+            <button
+              onClick={handleCopyShareLink}
+              disabled={!svgInput.trim()}
+              style={{ padding: "3px 8px", cursor: "pointer" }}
+            >
+              Copy share link
+            </button>
+            {settingsFeedback && (
+              <span style={{ color: "green", fontSize: "12px" }}>
+                {settingsFeedback}
+              </span>
+            )}
+            {linkError && (
+              <span style={{ color: "red" }}>
+                Share link not loaded: {linkError}
+              </span>
+            )}
+          </div>
+          {/* Recently converted inputs */}
+          {history.length > 0 && (
+            <HistoryPanel
+              history={history}
+              onRestore={handleRestoreHistory}
+              onRemove={(id) => setHistory(removeHistoryEntry(id))}
+              onClear={() => setHistory(clearHistory())}
+            />
+          )}
+          {/* Optimization and grid settings and size stats */}
+          <div
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              alignItems: "center",
+              gap: "12px",
+              marginBottom: "10px",
+              fontSize: 13,
+              flexShrink: 0,
+            }}
+          >
+            <label>
+              <input
+                type="checkbox"
+                checked={optimizeEnabled}
+                onChange={(e) =>
+                  updateSetting("optimizeEnabled", e.target.checked)
+                }
+              />{" "}
+              Optimize
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={previewEnabled}
+                onChange={(e) => setPreviewEnabled(e.target.checked)}
+              />{" "}
+              Preview
+            </label>
+            <label title="Turn the palette into color props, or keep every color">
+              <input
+                type="checkbox"
+                checked={themeColors}
+                onChange={(e) => updateSetting("themeColors", e.target.checked)}
+              />{" "}
+              Color props
+            </label>
+            <label style={{ color: optimizeEnabled ? "inherit" : "#999" }}>
+              Precision{" "}
+              <input
+                type="number"
+                min={0}
+                max={8}
+                value={precision}
+                disabled={!optimizeEnabled}
+                onChange={(e) =>
+                  updateSetting(
+                    "precision",
+                    Math.min(8, Math.max(0, Number(e.target.value) || 0))
+                  )
+                }
+                style={{ width: 48, padding: "2px 4px" }}
+              />
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={normalizeEnabled}
+                onChange={(e) =>
+                  updateSetting("normalizeEnabled", e.target.checked)
+                }
+              />{" "}
+              Fit to grid
+            </label>
+            <label style={{ color: normalizeEnabled ? "inherit" : "#999" }}>
+              Size{" "}
+              <input
+                type="number"
+                min={1}
+                value={gridSize}
+                disabled={!normalizeEnabled}
+                onChange={(e) =>
+                  updateSetting(
+                    "gridSize",
+                    Math.max(1, Number(e.target.value) || 1)
+                  )
+                }
+                style={{ width: 48, padding: "2px 4px" }}
+              />
+            </label>
+            <label style={{ color: normalizeEnabled ? "inherit" : "#999" }}>
+              Padding{" "}
+              <input
+                type="number"
+                min={0}
+                max={gridSize / 2}
+                step={0.5}
+                value={gridPadding}
+                disabled={!normalizeEnabled}
+                onChange={(e) =>
+                  updateSetting(
+                    "gridPadding",
+                    Math.min(
+                      gridSize / 2 - 0.5,
+                      Math.max(0, Number(e.target.value) || 0)
+                    )
+                  )
+                }
+                style={{ width: 48, padding: "2px 4px" }}
+              />
+            </label>
+            {stats && (
+              <span style={{ color: "#666" }}>
+                {formatBytes(stats.inputBytes)} in →{" "}
+                {formatBytes(stats.outputBytes)} out · elements{" "}
+                {stats.elementsBefore} → {stats.elementsAfter}
+              </span>
+            )}
+          </div>
+          {/* Prettier code style of the output */}
+          <div
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              alignItems: "center",
+              gap: "12px",
+              marginBottom: "10px",
+              fontSize: 13,
+              flexShrink: 0,
+            }}
+          >
+            <label>
+              Print width{" "}
+              <input
+                type="number"
+                min={40}
+                max={200}
+                value={codeStyle.printWidth}
+                onChange={(e) =>
+                  updateCodeStyle(
+                    "printWidth",
+                    Math.min(200, Math.max(40, Number(e.target.value) || 80))
+                  )
+                }
+                style={{ width: 56, padding: "2px 4px" }}
+              />
+            </label>
+            <label>
+              Tab width{" "}
+              <input
+                type="number"
+                min={1}
+                max={8}
+                value={codeStyle.tabWidth}
+                onChange={(e) =>
+                  updateCodeStyle(
+                    "tabWidth",
+                    Math.min(8, Math.max(1, Number(e.target.value) || 2))
+                  )
+                }
+                style={{ width: 40, padding: "2px 4px" }}
+              />
+            </label>
+            <select
+              value={codeStyle.singleQuote ? "single" : "double"}
+              onChange={(e) =>
+                updateCodeStyle("singleQuote", e.target.value === "single")
+              }
+              style={{ padding: "2px" }}
+            >
+              <option value="double">"Double" quotes</option>
+              <option value="single">'Single' quotes</option>
+            </select>
+            <label>
+              <input
+                type="checkbox"
+                checked={codeStyle.semi}
+                onChange={(e) => updateCodeStyle("semi", e.target.checked)}
+              />{" "}
+              Semicolons
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={codeStyle.singleAttributePerLine}
+                onChange={(e) =>
+                  updateCodeStyle("singleAttributePerLine", e.target.checked)
+                }
+              />{" "}
+              One attribute per line
+            </label>
+          </div>
+          {/* Options of the generated component */}
+          <SettingsPanel
+            options={componentOptions}
+            onChange={(options) => updateSetting("componentOptions", options)}
+          />
+          {/* Detected color palette */}
+          {themeColors && palette.length > 0 && (
+            <div style={{ marginBottom: "10px", fontSize: 13, flexShrink: 0 }}>
+              <div style={{ color: "#666", marginBottom: "4px" }}>
+                Color props (give colors the same name to merge them)
+              </div>
+              {palette.map(({ color, count }) => {
+                const override = colorOverrides[color];
+                const hardCoded = override === null;
+                return (
+                  <div
+                    key={color}
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      gap: "8px",
+                      marginBottom: "4px",
+                    }}
+                  >
+                    <span
+                      title={color}
+                      style={{
+                        width: 16,
+                        height: 16,
+                        border: "1px solid #999",
+                        backgroundColor: color,
+                        flexShrink: 0,
+                      }}
+                    />
+                    <code style={{ width: 70 }}>{color}</code>
+                    <input
+                      value={
+                        hardCoded ? "" : (override ?? defaultColorProps[color])
+                      }
+                      placeholder={defaultColorProps[color]}
+                      disabled={hardCoded}
+                      onChange={(e) =>
+                        updateColorOverride(color, e.target.value)
+                      }
+                      style={{ width: 140, padding: "2px 4px" }}
+                    />
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={hardCoded}
+                        onChange={(e) =>
+                          updateColorOverride(
+                            color,
+                            e.target.checked ? null : undefined
+                          )
+                        }
+                      />{" "}
+                      hard-code
+                    </label>
+                    <span style={{ color: "#999" }}>
+                      {count} use{count === 1 ? "" : "s"}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+          {/* Font families and the React Native fonts they map to */}
+          {fonts.length > 0 && target !== "dom" && (
+            <div style={{ marginBottom: "10px", fontSize: 13, flexShrink: 0 }}>
+              <div style={{ color: "#666", marginBottom: "4px" }}>
+                Font map (React Native font for each font family; a stack uses
+                its first mapped family)
+              </div>
+              {fonts.map((family) => (
+                <div
+                  key={family}
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "8px",
+                    marginBottom: "4px",
+                  }}
+                >
+                  <code style={{ width: 140 }}>{family}</code>
+                  <input
+                    value={fontMap[family] ?? ""}
+                    placeholder="Not mapped"
+                    onChange={(e) => updateFontMap(family, e.target.value)}
+                    style={{ width: 140, padding: "2px 4px" }}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+          {/* Rendered original and converted output */}
+          {previewEnabled && preview && !error && (
+            <PreviewPanel preview={preview} />
+          )}
+          {/* Conversion errors and warnings with their source locations */}
+          {diagnostics.length > 0 && (
+            <DiagnosticsPanel
+              diagnostics={diagnostics}
+              onSelect={handleSelectDiagnostic}
+            />
+          )}
+          {/* Display errors that have no diagnostic */}
+          {error && diagnostics.length === 0 && (
             <div
               style={{
                 color: "red",
@@ -0,0 +1,102 @@
+import { useCallback } from "react";
+import { strToU8, zipSync } from "fflate";
+import { renderBarrel } from "./converter";
+
+// Lists the results of a multi-file drop and downloads them as a zip with
+// an index barrel (unless they are .svg assets).
+function BatchPanel({ results, extension, onOpen, onClear }) {
+  const converted = results.filter((result) => !result.error);
+
+  const handleDownloadZip = useCallback(() => {
+    const files = {};
+    for (const { componentName, code } of converted) {
+      files[`${componentName}.${extension}`] = strToU8(code);
+    }
+    // .svg assets have no components to re-export
+    if (extension !== "svg") {
+      const barrelName = extension === "tsx" ? "index.ts" : "index.js";
+      files[barrelName] = strToU8(
+        renderBarrel(converted.map(({ componentName }) => componentName))
+      );
+    }
+
+    const blob = new Blob([zipSync(files)], { type: "application/zip" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "icons.zip";
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [converted, extension]);
+
+  return (
+    <div
+      style={{
+        marginBottom: "10px",
+        fontSize: 13,
+        flexShrink: 0,
+        maxHeight: "35vh",
+        overflow: "auto",
+        border: "1px solid #ccc",
+        padding: "6px",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "8px",
+          marginBottom: "6px",
+        }}
+      >
+        <strong>
+          {converted.length} of {results.length} files converted
+        </strong>
+        <button
+          onClick={handleDownloadZip}
+          disabled={converted.length === 0}
+          style={{ marginLeft: "auto", padding: "3px 8px", cursor: "pointer" }}
+        >
+          Download .zip
+        </button>
+        <button
+          onClick={onClear}
+          style={{ padding: "3px 8px", cursor: "pointer" }}
+        >
+          Clear
+        </button>
+      </div>
+      {results.map((result, index) => (
+        <div
+          key={`${index}-${result.fileName}`}
+          style={{ display: "flex", gap: "8px", padding: "2px 0" }}
+        >
+          <span style={{ color: result.error ? "red" : "green", width: 14 }}>
+            {result.error ? "✗" : "✓"}
+          </span>
+          <button
+            onClick={() => onOpen(result)}
+            disabled={result.source === null}
+            title="Open in the editor"
+            style={{
+              border: "none",
+              background: "none",
+              padding: 0,
+              color: "#007acc",
+              cursor: "pointer",
+              textAlign: "left",
+            }}
+          >
+            {result.fileName}
+          </button>
+          <code style={{ color: "#666" }}>
+            {result.error ? "" : `${result.componentName}.${extension}`}
+          </code>
+          {result.error && <span style={{ color: "red" }}>{result.error}</span>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default BatchPanel;
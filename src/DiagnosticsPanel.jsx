@@ -0,0 +1,65 @@
+const SEVERITY_COLORS = {
+  error: "red",
+  warning: "#ff9800",
+  info: "#666",
+};
+
+// Lists the conversion diagnostics. Clicking one with a source location
+// calls onSelect with it.
+function DiagnosticsPanel({ diagnostics, onSelect }) {
+  return (
+    <div
+      style={{
+        marginBottom: "10px",
+        fontSize: 13,
+        flexShrink: 0,
+        maxHeight: "25vh",
+        overflow: "auto",
+        border: "1px solid #ccc",
+        padding: "6px",
+      }}
+    >
+      {diagnostics.map((diagnostic, index) => {
+        const { severity, code, message, line, column } = diagnostic;
+        const hasLocation = line !== null;
+        return (
+          <div
+            key={`${index}-${code}`}
+            style={{ display: "flex", gap: "8px", padding: "2px 0" }}
+          >
+            <span
+              style={{
+                color: SEVERITY_COLORS[severity],
+                width: 56,
+                flexShrink: 0,
+              }}
+            >
+              {severity}
+            </span>
+            <button
+              onClick={() => onSelect(diagnostic)}
+              disabled={!hasLocation}
+              title={hasLocation ? "Go to the line in the input" : undefined}
+              style={{
+                border: "none",
+                background: "none",
+                padding: 0,
+                width: 56,
+                flexShrink: 0,
+                color: hasLocation ? "#007acc" : "#999",
+                cursor: hasLocation ? "pointer" : "default",
+                textAlign: "left",
+              }}
+            >
+              {hasLocation ? `${line}:${column}` : "—"}
+            </button>
+            <span style={{ flex: 1 }}>{message}</span>
+            <code style={{ color: "#999" }}>{code}</code>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default DiagnosticsPanel;
@@ -0,0 +1,80 @@
+// Lists the recent conversions kept in local storage, newest first, each
+// restorable in one click with the settings it was converted with.
+function HistoryPanel({ history, onRestore, onRemove, onClear }) {
+  return (
+    <details style={{ marginBottom: "10px", fontSize: 13, flexShrink: 0 }}>
+      <summary style={{ cursor: "pointer", color: "#666" }}>
+        Recent conversions ({history.length})
+      </summary>
+      <div
+        style={{
+          maxHeight: "30vh",
+          overflow: "auto",
+          border: "1px solid #ccc",
+          padding: "6px",
+          marginTop: "4px",
+        }}
+      >
+        {history.map((entry) => (
+          <div
+            key={entry.id}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: "8px",
+              padding: "2px 0",
+            }}
+          >
+            {entry.thumbnail ? (
+              <img
+                src={entry.thumbnail}
+                alt=""
+                width={32}
+                height={32}
+                style={{ border: "1px solid #ddd", flexShrink: 0 }}
+              />
+            ) : (
+              <span style={{ width: 34, flexShrink: 0 }} />
+            )}
+            <button
+              onClick={() => onRestore(entry)}
+              title="Restore the input and its settings"
+              style={{
+                border: "none",
+                background: "none",
+                padding: 0,
+                color: "#007acc",
+                cursor: "pointer",
+                textAlign: "left",
+              }}
+            >
+              {entry.fileName ?? "Pasted SVG"}
+            </button>
+            <span style={{ color: "#999" }}>
+              {new Date(entry.timestamp).toLocaleString()}
+            </span>
+            <button
+              onClick={() => onRemove(entry.id)}
+              title="Remove from the history"
+              style={{
+                marginLeft: "auto",
+                padding: "0 6px",
+                cursor: "pointer",
+              }}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={onClear}
+          style={{ marginTop: "4px", padding: "3px 8px", cursor: "pointer" }}
+        >
+          Clear history
+        </button>
+      </div>
+    </details>
+  );
+}
+
+export default HistoryPanel;
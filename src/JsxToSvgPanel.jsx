@@ -0,0 +1,284 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import Editor from "react-simple-code-editor";
+import { useWorkerJob } from "./useWorkerJob";
+import { selectSourceLine } from "./selectSourceLine";
+import DiagnosticsPanel from "./DiagnosticsPanel";
+
+function isJsxFile(file) {
+  return /\.(jsx?|tsx?)$/i.test(file.name);
+}
+
+// "ArrowLeft.tsx" -> "ArrowLeft.svg"
+function toSvgFileName(fileName) {
+  if (!fileName) return "icon.svg";
+  return fileName.replace(/\.[^.]*$/, "") + ".svg";
+}
+
+// Converts react-native-svg JSX back to a standalone .svg file: JSX input
+// on the left, the SVG on the right. `convertedCode` is the output of the
+// SVG to React Native direction, offered as a starting point.
+function JsxToSvgPanel({ convertedCode, highlight }) {
+  const [jsxInput, setJsxInput] = useState("");
+  const [debouncedInput, setDebouncedInput] = useState(jsxInput);
+  const [svgOutput, setSvgOutput] = useState("");
+  const [diagnostics, setDiagnostics] = useState([]);
+  const [error, setError] = useState(null);
+  const [fileName, setFileName] = useState(null); // Name of the dropped file, used for the download
+  const [copySuccess, setCopySuccess] = useState("");
+  const [isDragOver, setIsDragOver] = useState(false);
+  const inputPanelRef = useRef(null);
+  const { run: runToSvg, busy: isConverting } = useWorkerJob();
+
+  useEffect(() => {
+    const handler = setTimeout(() => setDebouncedInput(jsxInput), 750);
+    return () => clearTimeout(handler);
+  }, [jsxInput]);
+
+  useEffect(() => {
+    let isMounted = true;
+    if (!debouncedInput) {
+      setSvgOutput("");
+      setDiagnostics([]);
+      setError(null);
+      return;
+    }
+    runToSvg({ type: "toSvg", source: debouncedInput }).then(
+      (result) => {
+        if (!isMounted) return;
+        const firstError = result.diagnostics.find(
+          ({ severity }) => severity === "error"
+        );
+        setSvgOutput(result.code);
+        setDiagnostics(result.diagnostics);
+        setError(firstError ? firstError.message : null);
+      },
+      (err) => {
+        if (err.name === "AbortError") return; // Superseded by a newer job
+        console.error("Conversion Error:", err);
+        if (isMounted) {
+          setSvgOutput("");
+          setDiagnostics([]);
+          setError("Conversion failed: " + err.message);
+        }
+      }
+    );
+    return () => {
+      isMounted = false;
+    };
+  }, [debouncedInput, runToSvg]);
+
+  const handleCopy = useCallback(() => {
+    const showFeedback = (message) => {
+      setCopySuccess(message);
+      setTimeout(() => setCopySuccess(""), 1500);
+    };
+    if (!svgOutput) {
+      showFeedback("Nothing to copy");
+      return;
+    }
+    navigator.clipboard.writeText(svgOutput).then(
+      () => showFeedback("Copied!"),
+      (err) => {
+        console.error("Could not copy text: ", err);
+        showFeedback("Failed to copy!");
+      }
+    );
+  }, [svgOutput]);
+
+  const handleDownload = useCallback(() => {
+    if (!svgOutput) return;
+    const blob = new Blob([svgOutput], { type: "image/svg+xml" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = toSvgFileName(fileName);
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [svgOutput, fileName]);
+
+  const handleSelectDiagnostic = useCallback((diagnostic) => {
+    const textarea = document.getElementById("jsx-input");
+    const panel = inputPanelRef.current;
+    if (!textarea || !panel) return;
+    selectSourceLine(textarea, panel, diagnostic);
+  }, []);
+
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragOver(false);
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    if (!isJsxFile(file)) {
+      setError("Please drop a component file (.jsx, .tsx or .js)");
+      return;
+    }
+    file.text().then(
+      (content) => {
+        setJsxInput(content);
+        setFileName(file.name);
+      },
+      (err) => setError("Failed to read the file: " + err.message)
+    );
+  }, []);
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        flex: 1,
+        width: "100vw",
+        fontFamily: "sans-serif",
+        overflow: "hidden",
+      }}
+    >
+      {/* Left Panel: JSX Input */}
+      <div
+        style={{
+          flex: 1,
+          padding: "10px",
+          borderRight: "1px solid #ccc",
+          overflow: "auto",
+          display: "flex",
+          flexDirection: "column",
+          backgroundColor: isDragOver ? "#f0f8ff" : "transparent",
+          border: isDragOver ? "2px dashed #007acc" : "none",
+        }}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragOver(true);
+        }}
+        onDragLeave={() => setIsDragOver(false)}
+        onDrop={handleDrop}
+        data-drop-zone="true"
+        ref={inputPanelRef}
+      >
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <h2 style={{ marginTop: 0 }}>
+            React Native SVG Input
+            <span
+              style={{ fontSize: "14px", color: "#666", fontWeight: "normal" }}
+            >
+              (Paste a component or drag & drop a .jsx/.tsx file)
+            </span>
+          </h2>
+          <button
+            onClick={() => {
+              setJsxInput(convertedCode);
+              setFileName(null);
+            }}
+            disabled={!convertedCode}
+            title="Start from the output of the SVG to React Native converter"
+            style={{ padding: "5px 10px", cursor: "pointer" }}
+          >
+            Use converted output
+          </button>
+        </div>
+        {error && (
+          <p style={{ color: "red", margin: "8px 0 0", fontSize: 14 }}>
+            Error: {error}
+          </p>
+        )}
+        <Editor
+          value={jsxInput}
+          onValueChange={(code) => setJsxInput(code)}
+          highlight={highlight}
+          padding={16}
+          style={{
+            flex: 1,
+            fontSize: 14,
+            outline: "none",
+            lineHeight: 1.5,
+          }}
+          textareaClassName="editor-textarea"
+          textareaId="jsx-input"
+        />
+      </div>
+      {/* Right Panel: SVG Output */}
+      <div
+        style={{
+          flex: 1,
+          padding: "10px",
+          overflow: "auto",
+          display: "flex",
+          flexDirection: "column",
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            marginBottom: "5px",
+          }}
+        >
+          <h2 style={{ marginTop: 0, marginBottom: 0 }}>SVG Output</h2>
+          {isConverting && (
+            <span className="busy-indicator" role="status">
+              Converting…
+            </span>
+          )}
+          <button
+            onClick={handleCopy}
+            style={{
+              marginLeft: "auto",
+              padding: "5px 10px",
+              cursor: "pointer",
+            }}
+          >
+            Copy SVG
+          </button>
+          <button
+            onClick={handleDownload}
+            disabled={!svgOutput}
+            style={{
+              marginLeft: "5px",
+              padding: "5px 10px",
+              cursor: "pointer",
+            }}
+          >
+            Download .svg
+          </button>
+          {copySuccess && (
+            <span
+              style={{ marginLeft: "10px", color: "green", fontSize: "12px" }}
+            >
+              {copySuccess}
+            </span>
+          )}
+        </div>
+        {/* Unresolved props, dropped elements and parse errors */}
+        {diagnostics.length > 0 && (
+          <DiagnosticsPanel
+            diagnostics={diagnostics}
+            onSelect={handleSelectDiagnostic}
+          />
+        )}
+        <Editor
+          value={svgOutput}
+          onValueChange={() => {}} // Output is read-only
+          highlight={highlight}
+          padding={10}
+          readOnly
+          style={{
+            flex: 1,
+            fontSize: 14,
+            backgroundColor: "#eef2f7",
+            outline: "none",
+            lineHeight: 1.5,
+            color: "black",
+          }}
+          textareaClassName="editor-textarea"
+        />
+      </div>
+    </div>
+  );
+}
+
+export default JsxToSvgPanel;
@@ -0,0 +1,57 @@
+// Lists the icons of a sprite sheet or multi-root input, one component
+// each. The selected one is shown in the output; "Convert all" hands them
+// to the multi-file results for a zip download.
+function PartsPanel({ parts, selected, onSelect, onConvertAll }) {
+  return (
+    <div
+      style={{
+        marginBottom: "10px",
+        fontSize: 13,
+        flexShrink: 0,
+        maxHeight: "25vh",
+        overflow: "auto",
+        border: "1px solid #ccc",
+        padding: "6px",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "8px",
+          marginBottom: "6px",
+        }}
+      >
+        <strong>{parts.length} icons in this file</strong>
+        <button
+          onClick={onConvertAll}
+          title="Convert every icon into its own component"
+          style={{ marginLeft: "auto", padding: "3px 8px", cursor: "pointer" }}
+        >
+          Convert all
+        </button>
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "4px" }}>
+        {parts.map(({ id, componentName }, index) => (
+          <button
+            key={`${index}-${componentName}`}
+            onClick={() => onSelect(index)}
+            title={id ? `#${id}` : `<svg> ${index + 1}`}
+            aria-pressed={index === selected}
+            style={{
+              padding: "2px 6px",
+              cursor: "pointer",
+              border: "1px solid #ccc",
+              backgroundColor: index === selected ? "#007acc" : "#fff",
+              color: index === selected ? "#fff" : "#333",
+            }}
+          >
+            {componentName}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default PartsPanel;
@@ -0,0 +1,163 @@
+import { useState } from "react";
+import { zipSync } from "fflate";
+import { ID_PREFIX, normalizeColor, renderSvgMarkup } from "./converter";
+import { renderPng } from "./svgImage";
+
+// React Native picks name@2x.png and name@3x.png on denser screens
+const DENSITIES = [1, 2, 3];
+const MAX_BASE_SIZE = 1024;
+const DEFAULT_BASE_SIZE = 24;
+
+function densityFileName(name, density) {
+  return density === 1 ? `${name}.png` : `${name}@${density}x.png`;
+}
+
+// Height over width of what the tree draws, from its viewBox or its size
+function aspectRatio({ attributes }) {
+  const [, , width, height] = String(attributes.viewBox ?? "")
+    .trim()
+    .split(/[\s,]+/)
+    .map(Number);
+  if (width > 0 && height > 0) return height / width;
+  const ratio = parseFloat(attributes.height) / parseFloat(attributes.width);
+  return ratio > 0 ? ratio : 1;
+}
+
+// Exports the converted tree as PNGs at @1x, @2x and @3x of a base width
+// in dp, zipped. The tree is the one the component renders, so the rasters
+// match it; color props take the values picked here or their defaults.
+function PngExportPanel({ preview, name }) {
+  const { tree, props } = preview;
+  const colorProps = props.filter(({ kind }) => kind === "color");
+  const [widthProp, heightProp] = props.filter(({ kind }) => kind === "size");
+  const [size, setSize] = useState(
+    () => parseFloat(widthProp?.defaultValue) || DEFAULT_BASE_SIZE
+  );
+  const [background, setBackground] = useState(null); // null for transparent
+  const [colorValues, setColorValues] = useState({}); // prop name -> color
+  const [status, setStatus] = useState(null); // { message } or { error }
+  const [busy, setBusy] = useState(false);
+  const isValidSize = size > 0 && size <= MAX_BASE_SIZE;
+
+  const handleExport = async () => {
+    setBusy(true);
+    setStatus(null);
+    try {
+      const files = {};
+      const height = size * aspectRatio(tree);
+      for (const density of DENSITIES) {
+        const pixelWidth = Math.max(1, Math.round(size * density));
+        const pixelHeight = Math.max(1, Math.round(height * density));
+        const scope = { [ID_PREFIX]: "png" };
+        for (const { name: propName, defaultValue } of props) {
+          scope[propName] = colorValues[propName] ?? defaultValue;
+        }
+        if (widthProp) scope[widthProp.name] = pixelWidth;
+        if (heightProp) scope[heightProp.name] = pixelHeight;
+        const blob = await renderPng(
+          renderSvgMarkup(tree, scope),
+          pixelWidth,
+          pixelHeight,
+          background
+        );
+        files[densityFileName(name, density)] = new Uint8Array(
+          await blob.arrayBuffer()
+        );
+      }
+      // PNG data is already compressed
+      const zip = new Blob([zipSync(files, { level: 0 })], {
+        type: "application/zip",
+      });
+      const url = URL.createObjectURL(zip);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${name}-png.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+      setStatus({ message: `Exported ${Object.keys(files).join(", ")}` });
+    } catch (error) {
+      setStatus({ error: "PNG export failed: " + error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "8px",
+        marginBottom: "10px",
+        fontSize: 13,
+        flexShrink: 0,
+        border: "1px solid #ccc",
+        padding: "6px",
+      }}
+    >
+      <label title="Width of the @1x image in dp; @2x and @3x are twice and three times as wide">
+        Base width{" "}
+        <input
+          type="number"
+          min={1}
+          max={MAX_BASE_SIZE}
+          value={size}
+          onChange={(e) => setSize(Number(e.target.value))}
+          style={{ width: 56, padding: "2px 4px" }}
+        />
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={background !== null}
+          onChange={(e) => setBackground(e.target.checked ? "#ffffff" : null)}
+        />{" "}
+        Background
+      </label>
+      {background !== null && (
+        <input
+          type="color"
+          value={background}
+          onChange={(e) => setBackground(e.target.value)}
+        />
+      )}
+      {colorProps.map(({ name: propName, defaultValue }) => (
+        <label key={propName}>
+          {propName}{" "}
+          <input
+            type="color"
+            value={
+              normalizeColor(colorValues[propName] ?? defaultValue) || "#000000"
+            }
+            onChange={(e) =>
+              setColorValues((current) => ({
+                ...current,
+                [propName]: e.target.value,
+              }))
+            }
+          />
+        </label>
+      ))}
+      <button
+        onClick={handleExport}
+        disabled={busy || !isValidSize}
+        style={{ padding: "3px 8px", cursor: "pointer" }}
+      >
+        Export @1x, @2x, @3x
+      </button>
+      {!isValidSize && (
+        <span style={{ color: "red" }}>
+          The base width must be from 1 to {MAX_BASE_SIZE}
+        </span>
+      )}
+      {status && (
+        <span style={{ color: status.error ? "red" : "green" }}>
+          {status.error ?? status.message}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default PngExportPanel;
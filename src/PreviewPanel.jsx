@@ -0,0 +1,237 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { ID_PREFIX, normalizeColor, renderSvgMarkup } from "./converter";
+import { loadImage, toImageUrl } from "./svgImage";
+
+// Channel difference (0-255) above which two pixels count as different.
+// Small differences are anti-aliasing noise.
+const DIFF_THRESHOLD = 48;
+const MAX_PREVIEW_SIZE = 512;
+
+function rasterize(image, width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext("2d");
+  context.drawImage(image, 0, 0, width, height);
+  return context.getImageData(0, 0, width, height).data;
+}
+
+// Paints the pixels where the two renderings disagree red, compared with
+// premultiplied alpha so fully transparent pixels always match. Returns
+// the share of differing pixels.
+function drawDiff(canvas, original, converted) {
+  const { width, height } = canvas;
+  const a = rasterize(original, width, height);
+  const b = rasterize(converted, width, height);
+  const context = canvas.getContext("2d");
+  const overlay = context.createImageData(width, height);
+  let different = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    let delta = Math.abs(a[i + 3] - b[i + 3]);
+    for (let channel = 0; channel < 3; channel++) {
+      delta = Math.max(
+        delta,
+        Math.abs(
+          (a[i + channel] * a[i + 3]) / 255 - (b[i + channel] * b[i + 3]) / 255
+        )
+      );
+    }
+    if (delta > DIFF_THRESHOLD) {
+      overlay.data.set([255, 0, 0, 170], i);
+      different++;
+    }
+  }
+  context.putImageData(overlay, 0, 0);
+  return different / (width * height);
+}
+
+function toPixels(value, fallback) {
+  const number = parseFloat(value);
+  if (!(number > 0)) return fallback;
+  return Math.min(MAX_PREVIEW_SIZE, Math.round(number));
+}
+
+const checkerboard = {
+  backgroundColor: "#fff",
+  backgroundImage:
+    "linear-gradient(45deg, #ddd 25%, transparent 25%, transparent 75%, #ddd 75%), linear-gradient(45deg, #ddd 25%, transparent 25%, transparent 75%, #ddd 75%)",
+  backgroundSize: "16px 16px",
+  backgroundPosition: "0 0, 8px 8px",
+  border: "1px solid #ccc",
+  position: "relative",
+};
+
+// Renders the source SVG and the converted react-native-svg tree side by
+// side, with inputs for the component props and a pixel diff overlay.
+// `preview` is { svg, tree, props }: the source and its conversion.
+function PreviewPanel({ preview }) {
+  const { svg } = preview;
+  const [propValues, setPropValues] = useState({}); // prop name -> preview value
+  const [showDiff, setShowDiff] = useState(true);
+  const [difference, setDifference] = useState(null); // Share of differing pixels
+  const [renderError, setRenderError] = useState(null);
+  const diffCanvas = useRef(null);
+
+  const scope = useMemo(() => {
+    const values = { [ID_PREFIX]: "preview" };
+    for (const { name, defaultValue } of preview.props) {
+      values[name] = propValues[name] ?? defaultValue;
+    }
+    return values;
+  }, [preview, propValues]);
+
+  // Only the size and color props change the rendering
+  const previewProps = preview.props.filter(
+    ({ kind }) => kind === "size" || kind === "color"
+  );
+  // The width and height props, whatever the propNames option calls them.
+  // Without size props the root keeps its own width and height.
+  const [widthProp, heightProp] = preview.props.filter(
+    ({ kind }) => kind === "size"
+  );
+  const { attributes } = preview.tree;
+  const width = toPixels(
+    widthProp ? scope[widthProp.name] : attributes.width,
+    100
+  );
+  const height = toPixels(
+    heightProp ? scope[heightProp.name] : attributes.height,
+    100
+  );
+  const convertedMarkup = useMemo(
+    () => renderSvgMarkup(preview.tree, scope),
+    [preview, scope]
+  );
+  const originalUrl = useMemo(() => toImageUrl(svg), [svg]);
+  const convertedUrl = useMemo(
+    () => toImageUrl(convertedMarkup),
+    [convertedMarkup]
+  );
+  useEffect(() => () => URL.revokeObjectURL(originalUrl), [originalUrl]);
+  useEffect(() => () => URL.revokeObjectURL(convertedUrl), [convertedUrl]);
+
+  // Rasterize both renderings at the preview size and compare them
+  useEffect(() => {
+    if (!diffCanvas.current) return;
+    let isMounted = true;
+    const canvas = diffCanvas.current;
+    canvas.width = width;
+    canvas.height = height;
+    Promise.all([loadImage(svg), loadImage(convertedMarkup)]).then(
+      ([original, converted]) => {
+        if (!isMounted) return;
+        setRenderError(null);
+        setDifference(drawDiff(canvas, original, converted));
+      },
+      (err) => {
+        if (!isMounted) return;
+        setRenderError(err.message);
+        setDifference(null);
+      }
+    );
+    return () => {
+      isMounted = false;
+    };
+  }, [svg, convertedMarkup, width, height]);
+
+  const updatePropValue = (name, value) =>
+    setPropValues((current) => ({ ...current, [name]: value }));
+
+  return (
+    <div style={{ marginBottom: "10px", fontSize: 13, flexShrink: 0 }}>
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: "8px",
+          marginBottom: "6px",
+        }}
+      >
+        {previewProps.map(({ name, kind }) => (
+          <label key={name}>
+            {name}{" "}
+            {kind === "color" ? (
+              <input
+                type="color"
+                value={normalizeColor(String(scope[name])) || "#000000"}
+                onChange={(e) => updatePropValue(name, e.target.value)}
+              />
+            ) : (
+              <input
+                value={scope[name]}
+                onChange={(e) => updatePropValue(name, e.target.value)}
+                style={{ width: 48, padding: "2px 4px" }}
+              />
+            )}
+          </label>
+        ))}
+        <button
+          onClick={() => setPropValues({})}
+          style={{ padding: "2px 8px", cursor: "pointer" }}
+        >
+          Reset
+        </button>
+        <label>
+          <input
+            type="checkbox"
+            checked={showDiff}
+            onChange={(e) => setShowDiff(e.target.checked)}
+          />{" "}
+          Pixel diff
+        </label>
+        {renderError ? (
+          <span style={{ color: "red" }}>{renderError}</span>
+        ) : (
+          difference !== null && (
+            <span style={{ color: difference > 0 ? "#ff9800" : "green" }}>
+              {difference > 0
+                ? `${(difference * 100).toFixed(1)}% of pixels differ`
+                : "Renderings match"}
+            </span>
+          )
+        )}
+      </div>
+      <div style={{ display: "flex", gap: "12px", overflow: "auto" }}>
+        <figure style={{ margin: 0 }}>
+          <div style={{ ...checkerboard, width, height }}>
+            <img
+              src={originalUrl}
+              alt="Original SVG"
+              width={width}
+              height={height}
+              style={{ display: "block" }}
+            />
+          </div>
+          <figcaption style={{ color: "#666" }}>Original</figcaption>
+        </figure>
+        <figure style={{ margin: 0 }}>
+          <div style={{ ...checkerboard, width, height }}>
+            <img
+              src={convertedUrl}
+              alt="Converted react-native-svg output"
+              width={width}
+              height={height}
+              style={{ display: "block" }}
+            />
+            <canvas
+              ref={diffCanvas}
+              style={{
+                position: "absolute",
+                top: 0,
+                left: 0,
+                width,
+                height,
+                pointerEvents: "none",
+                visibility: showDiff ? "visible" : "hidden",
+              }}
+            />
+          </div>
+          <figcaption style={{ color: "#666" }}>Converted</figcaption>
+        </figure>
+      </div>
+    </div>
+  );
+}
+
+export default PreviewPanel;
@@ -0,0 +1,157 @@
+import { useState } from "react";
+import {
+  COMPONENT_OPTIONS_SCHEMA,
+  DEFAULT_COMPONENT_OPTIONS,
+  validateOptions,
+} from "./converter";
+
+// "class, data-name" -> ["class", "data-name"]
+function parseNames(text) {
+  return text
+    .split(/[\s,]+/)
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+// Comma-separated attribute names. The text is kept as typed, so a
+// trailing comma survives until the next name.
+function NamesInput({ value, onChange, ...props }) {
+  const [text, setText] = useState(value.join(", "));
+  const [shownValue, setShownValue] = useState(value);
+  // Follow changes from outside, e.g. an applied preset
+  if (value !== shownValue) {
+    setShownValue(value);
+    if (parseNames(text).join() !== value.join()) setText(value.join(", "));
+  }
+  return (
+    <input
+      {...props}
+      value={text}
+      onChange={(e) => {
+        setText(e.target.value);
+        onChange(parseNames(e.target.value));
+      }}
+    />
+  );
+}
+
+const INPUT_STYLE = { padding: "2px 4px" };
+
+function OptionInput({ schema, value, onChange }) {
+  switch (schema.type) {
+    case "boolean":
+      return (
+        <input
+          type="checkbox"
+          checked={value}
+          onChange={(e) => onChange(e.target.checked)}
+        />
+      );
+    case "number":
+      return (
+        <input
+          type="number"
+          min={schema.min}
+          value={value}
+          onChange={(e) => onChange(Number(e.target.value))}
+          style={{ ...INPUT_STYLE, width: 64 }}
+        />
+      );
+    case "enum":
+      return (
+        <select
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          style={{ padding: "2px" }}
+        >
+          {schema.values.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      );
+    case "names":
+      return (
+        <NamesInput
+          value={value}
+          onChange={onChange}
+          placeholder="None"
+          style={{ ...INPUT_STYLE, width: 180 }}
+        />
+      );
+    case "object":
+      return (
+        <span style={{ display: "inline-flex", flexWrap: "wrap", gap: "8px" }}>
+          {Object.entries(schema.properties).map(([name, property]) => (
+            <label key={name}>
+              {property.label}{" "}
+              <input
+                value={value[name]}
+                placeholder={property.default}
+                onChange={(e) => onChange({ ...value, [name]: e.target.value })}
+                style={{ ...INPUT_STYLE, width: 90 }}
+              />
+            </label>
+          ))}
+        </span>
+      );
+    default:
+      return null;
+  }
+}
+
+// Edits the options that shape the generated component, one row per entry
+// of COMPONENT_OPTIONS_SCHEMA. Invalid values are listed under the options;
+// the conversion reports them as errors too.
+function SettingsPanel({ options, onChange }) {
+  const problems = validateOptions(options);
+  return (
+    <details style={{ marginBottom: "10px", fontSize: 13, flexShrink: 0 }}>
+      <summary style={{ cursor: "pointer", color: "#666" }}>
+        Component options
+      </summary>
+      <div
+        style={{
+          border: "1px solid #ccc",
+          padding: "6px",
+          marginTop: "4px",
+        }}
+      >
+        {Object.entries(COMPONENT_OPTIONS_SCHEMA).map(([name, schema]) => (
+          <div
+            key={name}
+            title={schema.description}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: "8px",
+              marginBottom: "4px",
+            }}
+          >
+            <span style={{ width: 110, flexShrink: 0 }}>{schema.label}</span>
+            <OptionInput
+              schema={schema}
+              value={options[name]}
+              onChange={(value) => onChange({ ...options, [name]: value })}
+            />
+            <span style={{ color: "#999" }}>{schema.description}</span>
+          </div>
+        ))}
+        {problems.map(({ message }) => (
+          <p key={message} style={{ color: "red", margin: "4px 0 0" }}>
+            {message}
+          </p>
+        ))}
+        <button
+          onClick={() => onChange(DEFAULT_COMPONENT_OPTIONS)}
+          style={{ marginTop: "4px", padding: "3px 8px", cursor: "pointer" }}
+        >
+          Reset to defaults
+        </button>
+      </div>
+    </details>
+  );
+}
+
+export default SettingsPanel;
@@ -0,0 +1,128 @@
+// Runs conversions and Prettier formatting off the main thread, so typing
+// stays responsive on very large inputs. Handles one job at a time:
+//   { type: "convert", svg, options, codeStyle, preview }
+//   { type: "convertBatch", files, options, codeStyle }
+//   { type: "format", source }
+//   { type: "toSvg", source }
+// and answers each with { result } or { error }. Stale jobs are cancelled
+// by terminating the worker (see useWorkerJob).
+import prettier from "prettier/standalone";
+import parserHtml from "prettier/parser-html";
+import {
+  findSvgParts,
+  reactNativeToSvg,
+  svgToReactNative,
+  uniqueComponentNames,
+} from "./converter";
+import { formatCode } from "./converter/formatCode.js";
+
+// The Prettier-formatted code, diagnostics and stats of one conversion, the
+// palette and font families it found and, when requested, the source,
+// element tree and props for the preview, all from the one conversion. If
+// formatting fails the raw code is returned with formatError.
+// The .svg asset of the "uri" target is already indented and isn't
+// formatted. For a sprite sheet or multi-root file, `parts` lists its
+// parts and part `options.part` is converted, named after its id.
+async function convert({ svg, options: requested, codeStyle, preview }) {
+  const parts = findSvgParts(svg, requested.componentName);
+  const part = parts?.[requested.part];
+  const options = part
+    ? { ...requested, componentName: part.componentName }
+    : { ...requested, part: undefined };
+  let stats = null;
+  const {
+    code: rawCode,
+    diagnostics,
+    conversion,
+  } = svgToReactNative(svg, {
+    ...options,
+    onStats: (result) => {
+      stats = result;
+    },
+  });
+  let code = rawCode;
+  let formatError = null;
+  if (code && options.target !== "uri") {
+    try {
+      code = await formatCode(code, {
+        style: codeStyle,
+        language: options.language,
+        snippet: options.output === "snippet",
+      });
+      stats.outputBytes = new TextEncoder().encode(code).length;
+    } catch (error) {
+      formatError = error.message;
+    }
+  }
+  return {
+    code,
+    formatError,
+    diagnostics,
+    stats,
+    palette: conversion?.palette ?? [],
+    defaultColorProps: conversion?.defaultColorProps ?? {},
+    fonts: conversion?.fonts ?? [],
+    preview:
+      preview && conversion
+        ? {
+            svg: part ? part.svg : svg,
+            tree: conversion.tree,
+            props: conversion.props,
+          }
+        : null,
+    parts,
+  };
+}
+
+// Converts and formats every file of a multi-file drop
+function convertBatch({ files, options, codeStyle }) {
+  const names = uniqueComponentNames(files.map(({ fileName }) => fileName));
+  return Promise.all(
+    files.map(async (file, index) => {
+      const componentName = names[index];
+      if (file.error) return { ...file, componentName };
+      const { code, diagnostics } = svgToReactNative(file.source, {
+        ...options,
+        componentName,
+      });
+      const firstError = diagnostics.find(
+        ({ severity }) => severity === "error"
+      );
+      if (firstError) {
+        return { ...file, componentName, code, error: firstError.message };
+      }
+      return {
+        ...file,
+        componentName,
+        code:
+          options.target === "uri"
+            ? code
+            : await formatCode(code, {
+                style: codeStyle,
+                language: options.language,
+              }),
+        error: null,
+      };
+    })
+  );
+}
+
+function format({ source }) {
+  return prettier.format(source, { parser: "html", plugins: [parserHtml] });
+}
+
+// Converts react-native-svg JSX back to an .svg file
+function toSvg({ source }) {
+  return reactNativeToSvg(source);
+}
+
+const JOBS = { convert, convertBatch, format, toSvg };
+
+self.onmessage = async ({ data }) => {
+  try {
+    const result = await JOBS[data.type](data);
+    self.postMessage({ result });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+};
@@ -0,0 +1,222 @@
+// Accessibility of the generated component. The root <title> and <desc>
+// become the accessibilityLabel and accessibilityHint of the <Svg>, and
+// ARIA attributes become the React Native accessibility props.
+import { expression } from "./serializeJsx.js";
+
+// React Native props that have no meaning in SVG markup
+export const NATIVE_ACCESSIBILITY_PROPS = new Set([
+  "accessible",
+  "accessibilityLabel",
+  "accessibilityHint",
+  "accessibilityRole",
+  "accessibilityState",
+  "accessibilityValue",
+  "accessibilityLiveRegion",
+  "accessibilityElementsHidden",
+  "importantForAccessibility",
+  "testID",
+]);
+
+// ARIA roles -> accessibilityRole. Roles React Native has under the same
+// name map to themselves.
+const ROLE_NAMES = {
+  img: "image",
+  "graphics-document": "image",
+  "graphics-symbol": "image",
+  heading: "header",
+  presentation: "none",
+  slider: "adjustable",
+};
+const NATIVE_ROLES = new Set([
+  "none",
+  "button",
+  "link",
+  "search",
+  "image",
+  "text",
+  "adjustable",
+  "header",
+  "summary",
+  "alert",
+  "checkbox",
+  "combobox",
+  "menu",
+  "menubar",
+  "menuitem",
+  "progressbar",
+  "radio",
+  "radiogroup",
+  "scrollbar",
+  "spinbutton",
+  "switch",
+  "tab",
+  "tablist",
+  "timer",
+  "toolbar",
+  "grid",
+]);
+
+const STATE_ATTRIBUTES = {
+  "aria-disabled": "disabled",
+  "aria-selected": "selected",
+  "aria-checked": "checked",
+  "aria-busy": "busy",
+  "aria-expanded": "expanded",
+};
+const VALUE_ATTRIBUTES = {
+  "aria-valuemin": "min",
+  "aria-valuemax": "max",
+  "aria-valuenow": "now",
+  "aria-valuetext": "text",
+};
+const LIVE_REGIONS = { off: "none", polite: "polite", assertive: "assertive" };
+
+export function isAccessibilityAttribute(name) {
+  return name === "role" || name.startsWith("aria-");
+}
+
+function textContent(node) {
+  if (node.type === "text") return node.value;
+  return node.children.map(textContent).join("");
+}
+
+// Text of every element with an id, for resolving aria-labelledby
+export function collectTextById(root, textById = new Map()) {
+  if (root.type !== "element") return textById;
+  if (root.attributes.id) textById.set(root.attributes.id, textContent(root));
+  for (const child of root.children) collectTextById(child, textById);
+  return textById;
+}
+
+// Text of the elements an aria-labelledby or aria-describedby lists, or
+// null when none of them exist
+export function referencedText(ids, textById) {
+  const text = ids
+    .split(/\s+/)
+    .filter((id) => textById.has(id))
+    .map((id) => textById.get(id))
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text || null;
+}
+
+// The <title> and <desc> that describe the whole image, i.e. the first of
+// each directly inside the root. Returns { label, hint, elements }: their
+// text, null if absent, and the elements themselves.
+export function readTitleAndDescription(root) {
+  const elements = [];
+  const read = (name) => {
+    const node = root.children.find(
+      (child) => child.type === "element" && child.name === name
+    );
+    if (!node) return null;
+    elements.push(node);
+    return textContent(node).replace(/\s+/g, " ").trim() || null;
+  };
+  return { label: read("title"), hint: read("desc"), elements };
+}
+
+// `{ disabled: true, checked: "mixed" }`
+function objectExpression(entries) {
+  const members = entries.map(
+    ([key, value]) => `${key}: ${JSON.stringify(value)}`
+  );
+  return expression(`{ ${members.join(", ")} }`);
+}
+
+// React Native props for the role and aria-* attributes of an element.
+// `textById` resolves aria-labelledby and aria-describedby. `report(name,
+// message)` is called for attributes that have no equivalent, which are
+// dropped.
+export function toNativeAccessibilityProps(attributes, textById, report) {
+  const props = {};
+  const state = [];
+  const value = [];
+  for (const [name, rawValue] of Object.entries(attributes)) {
+    const attributeValue = rawValue.trim();
+    if (name === "role") {
+      const role = attributeValue.split(/\s+/)[0];
+      const nativeRole = Object.hasOwn(ROLE_NAMES, role)
+        ? ROLE_NAMES[role]
+        : role;
+      if (NATIVE_ROLES.has(nativeRole)) {
+        props.accessibilityRole = nativeRole;
+      } else {
+        report(name, `Role "${role}" has no React Native equivalent`);
+      }
+    } else if (name === "aria-label") {
+      props.accessibilityLabel = attributeValue;
+    } else if (name === "aria-labelledby" || name === "aria-describedby") {
+      const text = referencedText(attributeValue, textById);
+      const prop =
+        name === "aria-labelledby" ? "accessibilityLabel" : "accessibilityHint";
+      if (text === null) {
+        report(name, `"${name}" refers to no element`);
+      } else if (!(prop in props)) {
+        props[prop] = text;
+      }
+    } else if (name === "aria-hidden") {
+      if (attributeValue !== "true") continue;
+      props.accessibilityElementsHidden = expression("true");
+      props.importantForAccessibility = "no-hide-descendants";
+    } else if (name === "aria-live") {
+      if (Object.hasOwn(LIVE_REGIONS, attributeValue)) {
+        props.accessibilityLiveRegion = LIVE_REGIONS[attributeValue];
+      }
+    } else if (Object.hasOwn(STATE_ATTRIBUTES, name)) {
+      const isMixed = name === "aria-checked" && attributeValue === "mixed";
+      state.push([
+        STATE_ATTRIBUTES[name],
+        isMixed ? "mixed" : attributeValue === "true",
+      ]);
+    } else if (Object.hasOwn(VALUE_ATTRIBUTES, name)) {
+      const number = Number(attributeValue);
+      value.push([
+        VALUE_ATTRIBUTES[name],
+        name === "aria-valuetext" || Number.isNaN(number)
+          ? attributeValue
+          : number,
+      ]);
+    } else {
+      report(name, `"${name}" has no React Native equivalent`);
+    }
+  }
+  // An explicit aria-label wins over aria-labelledby
+  if ("aria-label" in attributes) {
+    props.accessibilityLabel = attributes["aria-label"].trim();
+  }
+  if (state.length > 0) props.accessibilityState = objectExpression(state);
+  if (value.length > 0) props.accessibilityValue = objectExpression(value);
+  return props;
+}
+
+// The props every component takes to override its accessibility
+// defaults, as { name, kind, defaultValue } entries. An icon without a
+// title is decorative, so it isn't accessible by default.
+export function accessibilityProps(label, componentName) {
+  return [
+    { name: "accessible", kind: "boolean", defaultValue: label !== null },
+    {
+      name: "accessibilityLabel",
+      kind: "text",
+      defaultValue: label ?? undefined,
+    },
+    { name: "testID", kind: "text", defaultValue: componentName },
+  ];
+}
+
+// <title> and <desc> elements for markup, from a resolved label and hint
+export function titleElements(label, hint) {
+  const element = (name, text) => ({
+    type: "element",
+    name,
+    attributes: {},
+    children: [{ type: "text", value: String(text) }],
+  });
+  const elements = [];
+  if (label !== null && label !== undefined)
+    elements.push(element("Title", label));
+  if (hint !== null && hint !== undefined) elements.push(element("Desc", hint));
+  return elements;
+}
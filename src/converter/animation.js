@@ -0,0 +1,497 @@
+// SMIL animation conversion for the animate option: <animate> and
+// <animateTransform> become react-native-reanimated code. Each animation
+// drives a shared value from 0 to 1 once per cycle (-1 while it isn't
+// running, which shows the element's own value), and the animated element,
+// wrapped with Animated.createAnimatedComponent, interpolates its props
+// between the keyframe values. Animations that can't be mapped are
+// reported and dropped.
+import { localName } from "./parseSvg.js";
+import { ANIMATION_ELEMENTS, toPropName } from "./mappings.js";
+import { normalizeColor } from "./colors.js";
+import { parsePathData } from "./pathData.js";
+import { expression, isExpression } from "./serializeJsx.js";
+import { createDiagnostic, locationOf } from "./diagnostics.js";
+
+// Attributes <animate> can drive, by how their values interpolate
+const NUMERIC_ATTRIBUTES = new Set([
+  "opacity",
+  "fill-opacity",
+  "stroke-opacity",
+  "stop-opacity",
+  "stroke-width",
+  "stroke-dashoffset",
+  "offset",
+  "x",
+  "y",
+  "x1",
+  "y1",
+  "x2",
+  "y2",
+  "cx",
+  "cy",
+  "r",
+  "rx",
+  "ry",
+  "width",
+  "height",
+]);
+const COLOR_ATTRIBUTES = new Set(["fill", "stroke", "stop-color"]);
+// Values of attributes an element doesn't set; other numbers start at 0
+const INITIAL_VALUES = {
+  opacity: "1",
+  "fill-opacity": "1",
+  "stroke-opacity": "1",
+  "stop-opacity": "1",
+  "stroke-width": "1",
+  fill: "black",
+  stroke: "none",
+  "stop-color": "black",
+};
+
+function initialValue(attributeName) {
+  if (Object.hasOwn(INITIAL_VALUES, attributeName)) {
+    return INITIAL_VALUES[attributeName];
+  }
+  return NUMERIC_ATTRIBUTES.has(attributeName) ? "0" : undefined;
+}
+
+// animateTransform types, with the arguments they accept and the missing
+// ones filled in
+const TRANSFORM_TYPES = {
+  translate: { counts: [1, 2], fill: ([x, y = 0]) => [x, y] },
+  scale: { counts: [1, 2], fill: ([x, y = x]) => [x, y] },
+  rotate: { counts: [1, 3], fill: ([angle, x = 0, y = 0]) => [angle, x, y] },
+  skewX: { counts: [1], fill: (args) => args },
+  skewY: { counts: [1], fill: (args) => args },
+};
+
+const NUMBER = /[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/gi;
+const LENGTH = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(px)?$/i;
+const TIMECOUNT = /^(\d+\.?\d*|\.\d+)(h|min|s|ms)?$/;
+const CLOCK = /^(?:(\d+):)?(\d{2}):(\d{2}(?:\.\d+)?)$/;
+const UNIT_MILLISECONDS = { h: 3600000, min: 60000, s: 1000, ms: 1 };
+
+// Milliseconds of a SMIL clock value ("2s", "150ms", "01:30"), or null
+function parseClockValue(value) {
+  const text = value.trim();
+  const timecount = TIMECOUNT.exec(text);
+  if (timecount) {
+    return Number(timecount[1]) * UNIT_MILLISECONDS[timecount[2] ?? "s"];
+  }
+  const clock = CLOCK.exec(text);
+  if (!clock) return null;
+  const [, hours = 0, minutes, seconds] = clock;
+  return (Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+}
+
+export function hasAnimations(node) {
+  return node.children.some(
+    (child) =>
+      child.type === "element" && ANIMATION_ELEMENTS.has(localName(child.name))
+  );
+}
+
+// { duration, delay, repeat, freeze } of an animation; repeat is -1 for
+// indefinite. Throws on timing that has no Reanimated equivalent.
+function readTiming(attributes) {
+  const { dur, begin = "0s", repeatCount, repeatDur } = attributes;
+  const duration = dur === undefined ? null : parseClockValue(dur);
+  if (!duration) {
+    throw new Error(
+      dur === undefined ? "it has no dur" : `dur "${dur}" isn't a duration`
+    );
+  }
+  const delay = parseClockValue(begin);
+  if (delay === null) {
+    throw new Error(
+      `begin "${begin}" isn't a time offset (events, sync bases and lists aren't supported)`
+    );
+  }
+  let repeat = 1;
+  if (repeatCount === "indefinite" || repeatDur === "indefinite") {
+    repeat = -1;
+  } else if (repeatDur !== undefined) {
+    throw new Error('repeatDur is only supported as "indefinite"');
+  } else if (repeatCount !== undefined) {
+    repeat = Number(repeatCount);
+    if (!Number.isInteger(repeat) || repeat < 1) {
+      throw new Error(`repeatCount "${repeatCount}" isn't a whole number`);
+    }
+  }
+  return { duration, delay, repeat, freeze: attributes.fill === "freeze" };
+}
+
+// The keyframe values and their key times. `baseValue` is the animated
+// attribute's own value, where a to-animation starts.
+function readKeyframes(attributes, baseValue) {
+  const calcMode = attributes.calcMode ?? "linear";
+  if (calcMode !== "linear") {
+    throw new Error(`calcMode "${calcMode}" isn't supported`);
+  }
+  let values;
+  if (attributes.values !== undefined) {
+    values = attributes.values
+      .split(";")
+      .map((value) => value.trim())
+      .filter(Boolean);
+  } else if (attributes.by !== undefined) {
+    throw new Error("by animations aren't supported");
+  } else if (attributes.to !== undefined) {
+    const from = attributes.from ?? baseValue;
+    if (from === undefined) throw new Error("it has no from value");
+    values = [from, attributes.to];
+  }
+  if (!values || values.length === 0) throw new Error("it has no values");
+  if (values.length === 1) values = [values[0], values[0]];
+
+  if (attributes.keyTimes === undefined) {
+    return {
+      values,
+      keyTimes: values.map((_, index) => index / (values.length - 1)),
+    };
+  }
+  const keyTimes = attributes.keyTimes
+    .split(";")
+    .map((time) => time.trim())
+    .filter(Boolean)
+    .map(Number);
+  const isValid =
+    keyTimes.length === values.length &&
+    keyTimes[0] === 0 &&
+    keyTimes.at(-1) === 1 &&
+    keyTimes.every((time, index) => index === 0 || time >= keyTimes[index - 1]);
+  if (!isValid) {
+    throw new Error(
+      "keyTimes must go from 0 to 1 with one time for each value"
+    );
+  }
+  return { values, keyTimes };
+}
+
+function list(items) {
+  return `[${items.join(", ")}]`;
+}
+
+// Code that interpolates one number between the keyframes, or the number
+// itself when it doesn't change
+function interpolateNumber(progress, keyTimes, numbers, uses) {
+  if (numbers.every((number) => number === numbers[0])) {
+    return String(numbers[0]);
+  }
+  uses.add("interpolate");
+  return `interpolate(${progress}, ${list(keyTimes)}, ${list(numbers)})`;
+}
+
+function readNumber(value) {
+  const match = LENGTH.exec(value.trim());
+  if (!match) throw new Error(`"${value}" isn't a number`);
+  return Number(match[1]);
+}
+
+// Template literal body for path data whose numbers are interpolated. The
+// keyframes need the same commands, arc flags included.
+function interpolatePath(progress, keyTimes, values, uses) {
+  const frames = values.map(parsePathData);
+  const [first] = frames;
+  const matches = frames.every(
+    (segments) =>
+      segments.length === first.length &&
+      segments.every(
+        ({ command, values: numbers }, index) =>
+          command === first[index].command &&
+          (command.toUpperCase() !== "A" ||
+            (numbers[3] === first[index].values[3] &&
+              numbers[4] === first[index].values[4]))
+      )
+  );
+  if (!matches) {
+    throw new Error("the path data of its values don't have the same commands");
+  }
+  return first
+    .map(({ command, values: numbers }, index) =>
+      [
+        command,
+        ...numbers.map((_, position) => {
+          const column = frames.map(
+            (segments) => segments[index].values[position]
+          );
+          const code = interpolateNumber(progress, keyTimes, column, uses);
+          return code.startsWith("interpolate") ? `\${${code}}` : code;
+        }),
+      ].join(" ")
+    )
+    .join(" ");
+}
+
+// Template literal body of one transform function, e.g. rotate(${...} 12 12)
+function interpolateTransform(type, progress, keyTimes, values, uses) {
+  if (!Object.hasOwn(TRANSFORM_TYPES, type)) {
+    throw new Error(`type "${type}" isn't supported`);
+  }
+  const { counts, fill } = TRANSFORM_TYPES[type];
+  const frames = values.map((value) => {
+    const numbers = (value.match(NUMBER) ?? []).map(Number);
+    const isNumberList = !value.replace(NUMBER, "").replace(/[\s,]/g, "");
+    if (!isNumberList || !counts.includes(numbers.length)) {
+      throw new Error(`"${value}" isn't a valid ${type} value`);
+    }
+    return fill(numbers);
+  });
+  const args = frames[0].map((_, position) => {
+    const code = interpolateNumber(
+      progress,
+      keyTimes,
+      frames.map((frame) => frame[position]),
+      uses
+    );
+    return code.startsWith("interpolate") ? `\${${code}}` : code;
+  });
+  return `${type}(${args.join(" ")})`;
+}
+
+// Code of a converted attribute value, for the animation's idle state
+function valueCode(value, kind) {
+  if (isExpression(value)) return value.code;
+  if (kind === "number") return String(readNumber(value));
+  return JSON.stringify(value);
+}
+
+// Tracks the animations of one conversion: the shared values, the elements
+// they drive and what the module has to import
+export function createAnimationState() {
+  return {
+    progress: [], // { name, timing, idle } per animation
+    elements: [], // { propsName, props: [[name, code]] } per element
+    components: new Set(), // Wrapped react-native-svg components
+    uses: new Set(), // react-native-reanimated imports
+  };
+}
+
+// Converts the SMIL children of `node`, whose converted element is
+// `element`. Sets element.component to the Animated wrapper and adds the
+// animatedProps prop; unconvertible animations are reported.
+export function animateElement(node, element, state, diagnostics) {
+  const transforms = [];
+  const props = new Map(); // prop name -> code
+  for (const child of node.children) {
+    if (child.type !== "element") continue;
+    const name = localName(child.name);
+    if (!ANIMATION_ELEMENTS.has(name)) continue;
+    const { attributeName, type } = child.attributes;
+    const label =
+      name === "animateTransform"
+        ? `<animateTransform type="${type ?? "translate"}">`
+        : attributeName
+          ? `<${name} attributeName="${attributeName}">`
+          : `<${name}>`;
+    try {
+      const uses = new Set();
+      const animation = convertAnimation(child, node, element, uses);
+      const progress = `progress${state.progress.length}`;
+      const code = animation.code(`${progress}.value`);
+      if (animation.transform) {
+        const replaces =
+          !animation.additive || transforms.some(({ additive }) => !additive);
+        if (transforms.length > 0 && replaces) {
+          throw new Error(
+            'several animateTransforms on one element need additive="sum"'
+          );
+        }
+        transforms.push({ ...animation, progress, body: code });
+      } else if (props.has(animation.propName)) {
+        throw new Error(`another animation already drives ${attributeName}`);
+      } else {
+        props.set(
+          animation.propName,
+          animation.idle
+            ? `${progress}.value < 0 ? ${animation.base} : ${code}`
+            : code
+        );
+      }
+      state.progress.push({
+        name: progress,
+        timing: animation.timing,
+        idle: animation.idle,
+      });
+      for (const use of uses) state.uses.add(use);
+    } catch (error) {
+      diagnostics.push(
+        createDiagnostic(
+          "warning",
+          "unsupported-animation",
+          `${label} isn't converted: ${error.message}`,
+          locationOf(child)
+        )
+      );
+    }
+  }
+  if (transforms.length > 0) {
+    props.set(
+      "transform",
+      transformCode(transforms, element.attributes.transform)
+    );
+  }
+  if (props.size === 0) return;
+
+  const propsName = `animatedProps${state.elements.length}`;
+  state.elements.push({ propsName, props: [...props] });
+  state.components.add(element.name);
+  element.component = `Animated${element.name}`;
+  element.attributes.animatedProps = expression(propsName);
+}
+
+// The transform while the animations run. A single replacing
+// animateTransform takes the place of the element's transform; additive
+// ones are appended to it.
+function transformCode(transforms, staticTransform = "") {
+  if (!transforms[0].additive) {
+    const [{ progress, idle, body }] = transforms;
+    return idle
+      ? `${progress}.value < 0 ? ${JSON.stringify(staticTransform)} : \`${body}\``
+      : `\`${body}\``;
+  }
+  const parts = transforms.map(({ progress, idle, body }) =>
+    idle ? `\${${progress}.value < 0 ? "" : \`${body}\`}` : body
+  );
+  return `\`${[staticTransform, ...parts].filter(Boolean).join(" ")}\``;
+}
+
+// { propName, code(progress), base, timing, idle } of one <animate>, or
+// { transform, additive, code(progress), timing, idle } of an
+// <animateTransform>. Throws when it can't be converted.
+function convertAnimation(animation, target, element, uses) {
+  const { attributes } = animation;
+  const name = localName(animation.name);
+  if (name === "set") throw new Error("<set> isn't supported");
+  if (name === "animateMotion") {
+    throw new Error("motion paths aren't supported");
+  }
+  const href = attributes.href ?? attributes["xlink:href"];
+  if (href !== undefined) {
+    throw new Error("animations of other elements (href) aren't supported");
+  }
+  const timing = readTiming(attributes);
+  // Before it begins, and after it ends unless it freezes, an animation
+  // shows the element's own value
+  const idle = timing.delay > 0 || (!timing.freeze && timing.repeat !== -1);
+
+  if (name === "animateTransform") {
+    if ((attributes.attributeName ?? "transform") !== "transform") {
+      throw new Error("only the transform attribute can be animated");
+    }
+    const { values, keyTimes } = readKeyframes(attributes, undefined);
+    const type = attributes.type ?? "translate";
+    return {
+      transform: true,
+      additive: attributes.additive === "sum",
+      timing,
+      idle,
+      code: (progress) =>
+        interpolateTransform(type, progress, keyTimes, values, uses),
+    };
+  }
+
+  const { attributeName } = attributes;
+  if (!attributeName) throw new Error("it has no attributeName");
+  const propName = toPropName(attributeName);
+  const { values, keyTimes } = readKeyframes(
+    attributes,
+    target.attributes[attributeName] ?? initialValue(attributeName)
+  );
+  let kind;
+  let code;
+  if (NUMERIC_ATTRIBUTES.has(attributeName)) {
+    kind = "number";
+    const numbers = values.map(readNumber);
+    code = (progress) => interpolateNumber(progress, keyTimes, numbers, uses);
+  } else if (COLOR_ATTRIBUTES.has(attributeName)) {
+    kind = "color";
+    const colors = values.map((value) => {
+      const color = normalizeColor(value);
+      if (!color) throw new Error(`"${value}" isn't a color`);
+      return JSON.stringify(color);
+    });
+    code = (progress) => {
+      uses.add("interpolateColor");
+      return `interpolateColor(${progress}, ${list(keyTimes)}, ${list(colors)})`;
+    };
+  } else if (attributeName === "d") {
+    kind = "path";
+    code = (progress) =>
+      `\`${interpolatePath(progress, keyTimes, values, uses)}\``;
+  } else {
+    throw new Error(`${attributeName} can't be animated`);
+  }
+
+  const base =
+    element.attributes[propName] ?? initialValue(attributeName) ?? values[0];
+  return { propName, timing, idle, code, base: valueCode(base, kind) };
+}
+
+// Code that starts one animation
+function driveCode({ timing, idle }, uses) {
+  const { duration, delay, repeat, freeze } = timing;
+  let code = `withTiming(1, { duration: ${duration}, easing: Easing.linear })`;
+  if (repeat !== 1) {
+    uses.add("withRepeat");
+    code = `withRepeat(${code}, ${repeat})`;
+  }
+  if (idle) {
+    uses.add("withSequence");
+    const reset = !freeze && repeat !== -1;
+    code = `withSequence(withTiming(0, { duration: 0 }), ${code}${reset ? ", withTiming(-1, { duration: 0 })" : ""})`;
+  }
+  if (delay > 0) {
+    uses.add("withDelay");
+    code = `withDelay(${delay}, ${code})`;
+  }
+  return code;
+}
+
+// The module code the converted animations need: the Reanimated import,
+// the Animated components and the hooks run in the component body, whose
+// nested lines are indented by `indent` per level
+export function renderAnimations(state, indent = "  ") {
+  const uses = new Set([
+    ...state.uses,
+    "Easing",
+    "useAnimatedProps",
+    "useSharedValue",
+    "withTiming",
+  ]);
+  const starts = state.progress.map(
+    (progress) =>
+      `${indent.repeat(2)}${progress.name}.value = ${driveCode(progress, uses)};`
+  );
+  const statements = [
+    ...state.progress.map(
+      ({ name, idle }) => `const ${name} = useSharedValue(${idle ? -1 : 0});`
+    ),
+    // The shared values never change, but listing them keeps
+    // react-hooks/exhaustive-deps quiet
+    [
+      "useEffect(() => {",
+      ...starts,
+      `${indent}}, [${state.progress.map(({ name }) => name).join(", ")}]);`,
+    ].join("\n"),
+    ...state.elements.map(
+      ({ propsName, props }) =>
+        `const ${propsName} = useAnimatedProps(() => ({ ${props
+          .map(([name, code]) => `${name}: ${code}`)
+          .join(", ")} }));`
+    ),
+  ];
+  return {
+    imports: [
+      `import Animated, { ${[...uses].sort().join(", ")} } from "react-native-reanimated";`,
+    ],
+    declarations: [...state.components]
+      .sort()
+      .map(
+        (name) =>
+          `const Animated${name} = Animated.createAnimatedComponent(${name});`
+      ),
+    statements,
+    reactImports: ["useEffect"],
+  };
+}
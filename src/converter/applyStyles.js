@@ -0,0 +1,262 @@
+// Applies embedded <style> stylesheets and inline style="..." attributes to
+// the elements they style, so class-styled exports (Illustrator's .st0,
+// .st1, ...) keep their look once className is gone and no style string
+// reaches react-native-svg. Works on the parsed source tree, before
+// conversion.
+import { localName } from "./parseSvg.js";
+import { PRESENTATION_ATTRIBUTES } from "./mappings.js";
+import { expression } from "./serializeJsx.js";
+import { createDiagnostic, locationOf } from "./diagnostics.js";
+
+// Inline style declarations outrank any selector
+const INLINE_SPECIFICITY = Number.MAX_SAFE_INTEGER;
+
+const UNITLESS_NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+// The prop value of a converted attribute. Unitless numbers set by CSS
+// become numeric props (strokeWidth={2}); the source tree keeps them as
+// strings, like every other attribute, for normalize and optimize.
+export function toStyledValue(node, name) {
+  const value = node.attributes[name];
+  return node.styledAttributes?.has(name) && UNITLESS_NUMBER.test(value)
+    ? expression(String(Number(value)))
+    : value;
+}
+
+// Splits "a: b; c: url(x;y)" into [{ property, value, important }],
+// ignoring semicolons inside parentheses and quotes.
+export function parseDeclarations(text) {
+  const declarations = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  const push = (end) => {
+    const declaration = text.slice(start, end);
+    const colon = declaration.indexOf(":");
+    if (colon !== -1) {
+      const property = declaration.slice(0, colon).trim().toLowerCase();
+      let value = declaration.slice(colon + 1).trim();
+      const important = /!\s*important$/i.test(value);
+      if (important) value = value.replace(/!\s*important$/i, "").trim();
+      if (property && value) declarations.push({ property, value, important });
+    }
+    start = end + 1;
+  };
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") quote = char;
+    else if (char === "(") depth++;
+    else if (char === ")") depth = Math.max(0, depth - 1);
+    else if (char === ";" && depth === 0) push(i);
+  }
+  push(text.length);
+  return declarations;
+}
+
+// Parses one selector into compounds, e.g. "g .a" -> [{ tag: "g" },
+// { classes: ["a"] }]. Returns null for selectors we don't support
+// (child/sibling combinators, attribute selectors, pseudo-classes).
+function parseSelector(selector) {
+  if (/[>+~[\]:()]/.test(selector)) return null;
+  const compounds = [];
+  for (const part of selector.trim().split(/\s+/)) {
+    const match = /^(\*|[A-Za-z][\w-]*)?((?:[.#][\w-]+)*)$/.exec(part);
+    if (!match || !part) return null;
+    const tag = match[1] && match[1] !== "*" ? match[1] : null;
+    const ids = [];
+    const classes = [];
+    for (const [, prefix, name] of match[2].matchAll(/([.#])([\w-]+)/g)) {
+      (prefix === "#" ? ids : classes).push(name);
+    }
+    compounds.push({ tag, ids, classes });
+  }
+  return compounds;
+}
+
+function specificityOf(compounds) {
+  let ids = 0;
+  let classes = 0;
+  let types = 0;
+  for (const compound of compounds) {
+    ids += compound.ids.length;
+    classes += compound.classes.length;
+    if (compound.tag) types++;
+  }
+  return ids * 10000 + classes * 100 + types;
+}
+
+function matchesCompound(node, compound) {
+  if (compound.tag && localName(node.name) !== compound.tag) return false;
+  if (compound.ids.some((id) => node.attributes.id !== id)) return false;
+  const classList = (node.attributes.class || "").split(/\s+/);
+  return compound.classes.every((name) => classList.includes(name));
+}
+
+// Only descendant combinators, so matching ancestors greedily is exact
+function matchesSelector(node, ancestors, compounds) {
+  if (!matchesCompound(node, compounds[compounds.length - 1])) return false;
+  let index = compounds.length - 2;
+  for (let i = ancestors.length - 1; i >= 0 && index >= 0; i--) {
+    if (matchesCompound(ancestors[i], compounds[index])) index--;
+  }
+  return index < 0;
+}
+
+// Splits stylesheet text into [{ selector, body }], skipping at-rules.
+// `report(code, message)` is called for anything skipped.
+function parseRules(css, report) {
+  const rules = [];
+  const text = css.replace(/\/\*[\s\S]*?\*\//g, "");
+  let index = 0;
+  while (index < text.length) {
+    const open = text.indexOf("{", index);
+    const semicolon = text.indexOf(";", index);
+    const prelude = text.slice(index, open === -1 ? text.length : open).trim();
+    if (prelude.startsWith("@") && semicolon !== -1 && semicolon < open) {
+      report(
+        "unsupported-css-rule",
+        `Unsupported stylesheet rule "${text.slice(index, semicolon).trim()}"`
+      );
+      index = semicolon + 1;
+      continue;
+    }
+    if (open === -1) break;
+
+    // Find the matching brace so nested at-rule blocks are skipped whole
+    let depth = 1;
+    let close = open + 1;
+    for (; close < text.length && depth > 0; close++) {
+      if (text[close] === "{") depth++;
+      else if (text[close] === "}") depth--;
+    }
+    if (prelude.startsWith("@")) {
+      report(
+        "unsupported-css-rule",
+        `Unsupported stylesheet rule "${prelude}"`
+      );
+    } else if (prelude) {
+      rules.push({ selector: prelude, body: text.slice(open + 1, close - 1) });
+    }
+    index = close;
+  }
+  return rules;
+}
+
+// Returns [{ css, node }] for every <style> element
+function collectStylesheets(node, sheets = []) {
+  if (node.type !== "element") return sheets;
+  if (localName(node.name) === "style") {
+    const css = node.children.map((child) => child.value || "").join("");
+    sheets.push({ css, node });
+    return sheets;
+  }
+  node.children.forEach((child) => collectStylesheets(child, sheets));
+  return sheets;
+}
+
+function supportedDeclarations(text, source, report) {
+  return parseDeclarations(text).filter(({ property }) => {
+    if (PRESENTATION_ATTRIBUTES.has(property)) return true;
+    report(
+      "unsupported-css-property",
+      `Unsupported style property "${property}" in ${source}`
+    );
+    return false;
+  });
+}
+
+// Resolves every <style> rule and style attribute against the tree and
+// writes the winning declarations onto the elements as presentation
+// attributes, following the CSS cascade: !important first, then inline
+// styles, then selector specificity, then source order. Any CSS beats a
+// presentation attribute. Returns diagnostics for anything that couldn't be
+// applied.
+export function applyStyles(root) {
+  const diagnostics = [];
+  const reporter = (location) => (code, message) =>
+    diagnostics.push(createDiagnostic("warning", code, message, location));
+  const rules = [];
+  let order = 0;
+  for (const sheet of collectStylesheets(root)) {
+    const report = reporter(locationOf(sheet.node));
+    for (const { selector, body } of parseRules(sheet.css, report)) {
+      const declarations = supportedDeclarations(body, `"${selector}"`, report);
+      for (const part of selector.split(",")) {
+        const compounds = parseSelector(part);
+        if (!compounds) {
+          report(
+            "unsupported-css-selector",
+            `Unsupported selector "${part.trim()}"`
+          );
+          continue;
+        }
+        rules.push({
+          sheet: sheet.node,
+          selector: part.trim(),
+          compounds,
+          specificity: specificityOf(compounds),
+          order: order++,
+          declarations,
+          matched: false,
+        });
+      }
+    }
+  }
+  const visit = (node, ancestors) => {
+    if (node.type !== "element") return;
+    const matches = [];
+    if (node.attributes.style !== undefined) {
+      const declarations = supportedDeclarations(
+        node.attributes.style,
+        `style on <${node.name}>`,
+        reporter(locationOf(node, "style"))
+      );
+      for (const declaration of declarations) {
+        matches.push({
+          ...declaration,
+          specificity: INLINE_SPECIFICITY,
+          order: 0,
+        });
+      }
+      delete node.attributes.style;
+    }
+    for (const rule of rules) {
+      if (!matchesSelector(node, ancestors, rule.compounds)) continue;
+      rule.matched = true;
+      for (const declaration of rule.declarations) {
+        matches.push({
+          ...declaration,
+          specificity: rule.specificity,
+          order: rule.order,
+        });
+      }
+    }
+    matches.sort(
+      (a, b) =>
+        a.important - b.important ||
+        a.specificity - b.specificity ||
+        a.order - b.order
+    );
+    for (const { property, value } of matches) {
+      node.attributes[property] = value;
+      node.styledAttributes ??= new Set();
+      node.styledAttributes.add(property);
+    }
+
+    const path = [...ancestors, node];
+    node.children.forEach((child) => visit(child, path));
+  };
+  visit(root, []);
+
+  for (const rule of rules) {
+    if (!rule.matched) {
+      reporter(locationOf(rule.sheet))(
+        "unused-css-selector",
+        `Selector "${rule.selector}" matches no elements`
+      );
+    }
+  }
+  return diagnostics;
+}
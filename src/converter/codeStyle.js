@@ -0,0 +1,9 @@
+// Code style of the generated code, as Prettier options. Kept apart from
+// formatCode.js so the app can read the defaults without loading Prettier.
+export const DEFAULT_CODE_STYLE = {
+  printWidth: 80,
+  singleQuote: false,
+  semi: true,
+  tabWidth: 2,
+  singleAttributePerLine: false,
+};
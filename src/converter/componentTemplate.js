@@ -0,0 +1,165 @@
+// Wraps converted JSX in a complete react-native-svg component module.
+import { serializeJsx } from "./serializeJsx.js";
+import { ELEMENT_NAMES } from "./mappings.js";
+
+const FALLBACK_COMPONENT_NAME = "SvgIcon";
+
+// Name of the rest of the props, which the root element receives
+export const REST_PROPS = "props";
+
+// Names a generated module imports or declares besides the component:
+// React, react-native-svg's exports and the react-native-reanimated ones
+// animations use
+const MODULE_NAMES = new Set([
+  "React",
+  "Svg",
+  "SvgXml",
+  "SvgProps",
+  "Animated",
+  "Easing",
+  ...Object.values(ELEMENT_NAMES).flatMap((name) => [name, `Animated${name}`]),
+]);
+
+// "arrow-left@2x.svg" -> "ArrowLeft2x", "24-home.svg" -> "Svg24Home",
+// "circle.svg" -> "CircleIcon" (Circle is imported from react-native-svg)
+export function toComponentIdentifier(fileName) {
+  if (!fileName) return FALLBACK_COMPONENT_NAME;
+  const words = fileName
+    .replace(/\.svg$/i, "")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  if (words.length === 0) return FALLBACK_COMPONENT_NAME;
+  const name = words
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join("");
+  if (/^[0-9]/.test(name)) return `Svg${name}`;
+  return MODULE_NAMES.has(name) ? `${name}Icon` : name;
+}
+
+// Every component name used in the tree, except the root Svg which is the
+// default export of react-native-svg.
+export function collectElementNames(node, names = new Set()) {
+  if (node.type !== "element") return names;
+  if (node.name !== "Svg") names.add(node.name);
+  for (const child of node.children) collectElementNames(child, names);
+  return names;
+}
+
+// TypeScript types for each kind of extracted prop
+const PROP_TYPES = {
+  size: "number | string",
+  color: "string",
+  boolean: "boolean",
+  text: "string",
+};
+
+function formatDefault(value) {
+  return typeof value === "number" ? String(value) : JSON.stringify(value);
+}
+
+function renderPropsInterface(interfaceName, props, baseType, indent) {
+  const members = props.map(
+    ({ name, kind }) => `${indent}${name}?: ${PROP_TYPES[kind]};`
+  );
+  return [
+    `export interface ${interfaceName} extends ${baseType} {`,
+    ...members,
+    "}",
+  ].join("\n");
+}
+
+// react-native-svg import lines of a module, none for React DOM. The
+// SvgProps type gets an import of its own, which modules compiled with
+// verbatimModuleSyntax require.
+function renderSvgImports(tree, target, typescript) {
+  if (target === "dom") return [];
+  return [
+    renderSvgImport(tree, target),
+    ...(typescript
+      ? ['import type { SvgProps } from "react-native-svg";']
+      : []),
+  ];
+}
+
+function renderSvgImport(tree, target) {
+  const namedImports =
+    target === "xml" ? ["SvgXml"] : [...collectElementNames(tree)].sort();
+  if (target === "xml") {
+    return `import { ${namedImports.join(", ")} } from "react-native-svg";`;
+  }
+  return namedImports.length
+    ? `import Svg, { ${namedImports.join(", ")} } from "react-native-svg";`
+    : `import Svg from "react-native-svg";`;
+}
+
+// `props` is an ordered list of { name, kind, defaultValue } where kind is a
+// key of PROP_TYPES; `tree` is the root element the component returns: the
+// converted <Svg>, or its React DOM or <SvgXml> form for those `target`s.
+// `statements` run in the component body before the JSX is returned and may
+// use the hooks listed in `reactImports`; `imports` are further import
+// lines and `declarations` module-level code placed before the component.
+// With `typescript` set, the module exports a props interface extending
+// SvgProps (the React DOM SVG props for "dom") and types the component
+// with it. Props the component doesn't declare are passed on to `tree`.
+// `indent` is the indentation of one nesting level.
+export function renderComponentModule({
+  componentName,
+  tree,
+  props,
+  statements = [],
+  reactImports = [],
+  imports = [],
+  declarations = [],
+  typescript = false,
+  target = "native",
+  indent = "  ",
+}) {
+  const params = [
+    ...props.map(({ name, defaultValue }) =>
+      defaultValue === undefined
+        ? name
+        : `${name} = ${formatDefault(defaultValue)}`
+    ),
+    `...${REST_PROPS}`,
+  ].join(", ");
+  const root = { ...tree, spread: REST_PROPS };
+
+  const interfaceName = `${componentName}Props`;
+  const reactImport = reactImports.length
+    ? `import React, { ${reactImports.join(", ")} } from "react";`
+    : `import React from "react";`;
+  const header = [
+    reactImport,
+    ...renderSvgImports(tree, target, typescript),
+    ...imports,
+    "",
+  ];
+  if (declarations.length) header.push(...declarations, "");
+  if (typescript) {
+    const baseType =
+      target === "dom" ? "React.SVGProps<SVGSVGElement>" : "SvgProps";
+    header.push(
+      renderPropsInterface(interfaceName, props, baseType, indent),
+      ""
+    );
+  }
+
+  const signature = typescript
+    ? `const ${componentName} = ({ ${params} }: ${interfaceName}) =>`
+    : `const ${componentName} = ({ ${params} }) =>`;
+  // Without statements the JSX is returned from a concise arrow body
+  const body = statements.length
+    ? [
+        `${signature} {`,
+        ...statements.map((statement) => `${indent}${statement}`),
+        `${indent}return (`,
+        serializeJsx(root, indent.repeat(2), indent),
+        `${indent});`,
+        "};",
+      ]
+    : [`${signature} (`, serializeJsx(root, indent, indent), ");"];
+
+  return [...header, ...body, "", `export default ${componentName};`, ""].join(
+    "\n"
+  );
+}
@@ -0,0 +1,52 @@
+// Problems found while converting, reported next to the generated code:
+//   { severity: "error" | "warning" | "info", code, message, line, column }
+// `code` is a stable identifier such as "parse-error" or
+// "unsupported-element". Line and column are 1-based positions in the SVG
+// source, or null when a problem isn't tied to one place.
+
+export function createDiagnostic(severity, code, message, location = null) {
+  return {
+    severity,
+    code,
+    message,
+    line: location ? location.line : null,
+    column: location ? location.column : null,
+  };
+}
+
+// Source location of a parsed element, or of one of its attributes
+export function locationOf(node, attributeName) {
+  if (!node || !node.location) return null;
+  if (attributeName && node.location.attributes[attributeName]) {
+    return node.location.attributes[attributeName];
+  }
+  return node.location;
+}
+
+// Returns a function that maps a source index to { line, column }
+export function createLocator(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === "\n") lineStarts.push(i + 1);
+  }
+  return (index) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (lineStarts[middle] <= index) low = middle;
+      else high = middle - 1;
+    }
+    return { line: low + 1, column: index - lineStarts[low] + 1 };
+  };
+}
+
+export function hasErrors(diagnostics) {
+  return diagnostics.some(({ severity }) => severity === "error");
+}
+
+// "3:14 warning Unknown attribute "foo" (unknown-attribute)"
+export function formatDiagnostic({ severity, code, message, line, column }) {
+  const position = line === null ? "" : `${line}:${column} `;
+  return `${position}${severity} ${message} (${code})`;
+}
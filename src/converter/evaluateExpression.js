@@ -0,0 +1,145 @@
+// Evaluates the small subset of JavaScript used in react-native-svg prop
+// expressions: numbers, strings, template literals, identifiers looked up
+// in a scope, unary minus, parentheses and the ?? / || fallbacks. Input
+// JSX is pasted by the user, so nothing is ever run with eval().
+
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+const NUMBER = /(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y;
+const LITERALS = { true: true, false: false, null: null, undefined };
+const ESCAPES = {
+  n: "\n",
+  r: "\r",
+  t: "\t",
+  b: "\b",
+  f: "\f",
+  v: "\v",
+  0: "\0",
+};
+
+// Throws when the code uses anything outside that subset, or a name that
+// isn't in `scope`.
+export function evaluateExpression(code, scope = {}) {
+  let index = 0;
+
+  const fail = (message) => {
+    throw new Error(message);
+  };
+  const skipWhitespace = () => {
+    while (index < code.length && /\s/.test(code[index])) index++;
+  };
+  const match = (pattern) => {
+    pattern.lastIndex = index;
+    const found = pattern.exec(code);
+    if (!found) return null;
+    index = pattern.lastIndex;
+    return found[0];
+  };
+
+  // Reads a backslash escape at `index` (just past the backslash)
+  const readEscape = () => {
+    const char = code[index++];
+    if (char === "u") {
+      const braced = code[index] === "{";
+      const end = braced ? code.indexOf("}", index) : index + 4;
+      const hex = code.slice(braced ? index + 1 : index, end);
+      if (!/^[0-9a-fA-F]+$/.test(hex)) fail("Invalid unicode escape");
+      index = braced ? end + 1 : end;
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    if (char === "x") {
+      const hex = code.slice(index, index + 2);
+      if (!/^[0-9a-fA-F]{2}$/.test(hex)) fail("Invalid hex escape");
+      index += 2;
+      return String.fromCharCode(parseInt(hex, 16));
+    }
+    if (char === "\n") return "";
+    return char in ESCAPES ? ESCAPES[char] : char;
+  };
+
+  const readString = (quote) => {
+    index++;
+    let value = "";
+    while (code[index] !== quote) {
+      if (index >= code.length || code[index] === "\n") {
+        fail("Unterminated string");
+      }
+      if (code[index] === "\\") {
+        index++;
+        value += readEscape();
+      } else {
+        value += code[index++];
+      }
+    }
+    index++;
+    return value;
+  };
+
+  const readTemplate = () => {
+    index++;
+    let value = "";
+    while (code[index] !== "`") {
+      if (index >= code.length) fail("Unterminated template literal");
+      if (code[index] === "\\") {
+        index++;
+        value += readEscape();
+      } else if (code.startsWith("${", index)) {
+        index += 2;
+        value += String(readFallbacks());
+        skipWhitespace();
+        if (code[index] !== "}") fail("Expected } in template literal");
+        index++;
+      } else {
+        value += code[index++];
+      }
+    }
+    index++;
+    return value;
+  };
+
+  const readPrimary = () => {
+    skipWhitespace();
+    const char = code[index];
+    if (char === '"' || char === "'") return readString(char);
+    if (char === "`") return readTemplate();
+    if (char === "-" || char === "+") {
+      index++;
+      const operand = readPrimary();
+      if (typeof operand !== "number") fail(`Unsupported use of ${char}`);
+      return char === "-" ? -operand : operand;
+    }
+    if (char === "(") {
+      index++;
+      const value = readFallbacks();
+      skipWhitespace();
+      if (code[index] !== ")") fail("Expected )");
+      index++;
+      return value;
+    }
+    const number = match(NUMBER);
+    if (number !== null) return Number(number);
+    const name = match(IDENTIFIER);
+    if (name === null) fail(`Unsupported expression "${code}"`);
+    if (Object.hasOwn(LITERALS, name)) return LITERALS[name];
+    if (!Object.hasOwn(scope, name)) fail(`"${name}" is not defined`);
+    return scope[name];
+  };
+
+  // a ?? b, a || b
+  const readFallbacks = () => {
+    let value = readPrimary();
+    for (;;) {
+      skipWhitespace();
+      const operator = match(/\?\?|\|\|/y);
+      if (!operator) return value;
+      const fallback = readPrimary();
+      if (operator === "??" ? value === null || value === undefined : !value) {
+        value = fallback;
+      }
+    }
+  };
+
+  const value = readFallbacks();
+  skipWhitespace();
+  if (index < code.length) fail(`Unsupported expression "${code}"`);
+  return value;
+}
@@ -0,0 +1,26 @@
+// Prettier formatting of the generated code, with the code style options
+// the app and the CLI expose. Not re-exported from index.js, so importing
+// the converter doesn't pull in Prettier.
+import prettier from "prettier/standalone";
+import parserBabel from "prettier/parser-babel";
+import parserEstree from "prettier/plugins/estree";
+import { DEFAULT_CODE_STYLE } from "./codeStyle.js";
+
+// Formats a generated module, or a bare <Svg> snippet when `snippet` is
+// set. Resolves to the formatted code; rejects if Prettier can't parse it.
+export async function formatCode(
+  code,
+  { style = DEFAULT_CODE_STYLE, language = "js", snippet = false } = {}
+) {
+  const formatted = await prettier.format(code, {
+    ...DEFAULT_CODE_STYLE,
+    ...style,
+    parser: language === "ts" ? "babel-ts" : "babel",
+    plugins: [parserBabel, parserEstree],
+  });
+  // A snippet is parsed as an expression statement, which gains a
+  // semicolon (a leading one without semicolons) that doesn't belong in JSX
+  return snippet
+    ? formatted.replace(/^;/, "").replace(/;\s*$/, "\n")
+    : formatted;
+}
@@ -0,0 +1,22 @@
+// Helpers for converting a whole set of icons at once.
+import { toComponentIdentifier } from "./componentTemplate.js";
+
+// Component names for a list of file names, numbered when two files map to
+// the same name ("home.svg" and "Home.svg" -> Home, Home2).
+export function uniqueComponentNames(fileNames) {
+  const used = new Map();
+  return fileNames.map((fileName) => {
+    const base = toComponentIdentifier(fileName);
+    const count = (used.get(base) || 0) + 1;
+    used.set(base, count);
+    return count === 1 ? base : `${base}${count}`;
+  });
+}
+
+// index.js / index.ts that re-exports every icon component by name
+export function renderBarrel(componentNames) {
+  return [...componentNames]
+    .sort()
+    .map((name) => `export { default as ${name} } from "./${name}";\n`)
+    .join("");
+}
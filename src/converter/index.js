@@ -0,0 +1,720 @@
+// Conversion engine: turns SVG markup into react-native-svg component
+// code. Has no React or DOM dependency, so the browser app and the svg2rn
+// CLI share it.
+import { localName, parseSvg } from "./parseSvg.js";
+import { parseSvgPart } from "./sprites.js";
+import {
+  ANIMATION_ELEMENTS,
+  DROPPED_ATTRIBUTES,
+  DROPPED_ELEMENTS,
+  DROPPED_ROOT_ATTRIBUTES,
+  METADATA_ELEMENTS,
+  PRESENTATION_ATTRIBUTES,
+  SVG_ATTRIBUTES,
+  isNamespaceDeclaration,
+  toComponentName,
+  toPropName,
+} from "./mappings.js";
+import { expression, serializeJsx } from "./serializeJsx.js";
+import {
+  COLOR_ATTRIBUTES,
+  THEMED_ELEMENTS,
+  applyColorProps,
+  applyRootColorProps,
+  collectCurrentColorProps,
+  collectPalette,
+  collectRootColors,
+  resolveColorProps,
+} from "./palette.js";
+import { renderComponentModule } from "./componentTemplate.js";
+import { ID_PREFIX, scopeIds } from "./scopeIds.js";
+import { applyStyles, toStyledValue } from "./applyStyles.js";
+import { countElements, optimizeTree } from "./optimize.js";
+import { normalizeTree } from "./normalize.js";
+import { renderSvgAsset, toDomTree, toSvgXmlElement } from "./targets.js";
+import {
+  accessibilityProps,
+  collectTextById,
+  isAccessibilityAttribute,
+  readTitleAndDescription,
+  referencedText,
+  toNativeAccessibilityProps,
+} from "./accessibility.js";
+import {
+  TEXT_CHILD_ELEMENTS,
+  TEXT_ELEMENTS,
+  collectFonts,
+  createFontResolver,
+  normalizeTextWhitespace,
+  toFontSize,
+} from "./text.js";
+import {
+  createDiagnostic,
+  formatDiagnostic,
+  hasErrors,
+  locationOf,
+} from "./diagnostics.js";
+import { resolveComponentOptions, validateOptions } from "./options.js";
+import {
+  animateElement,
+  createAnimationState,
+  renderAnimations,
+} from "./animation.js";
+
+export { detectPalette } from "./palette.js";
+export { detectFonts } from "./text.js";
+export { toComponentIdentifier } from "./componentTemplate.js";
+export { renderBarrel, uniqueComponentNames } from "./iconSet.js";
+export { findSvgParts, listSvgParts } from "./sprites.js";
+export { DEFAULT_PRECISION } from "./optimize.js";
+export { DEFAULT_GRID_SIZE } from "./normalize.js";
+export { normalizeColor } from "./colors.js";
+export { renderSvgMarkup } from "./svgMarkup.js";
+export { reactNativeToSvg } from "./jsxToSvg.js";
+export { OUTPUT_TARGETS } from "./targets.js";
+export { DEFAULT_CODE_STYLE } from "./codeStyle.js";
+export {
+  COMPONENT_OPTIONS_SCHEMA,
+  DEFAULT_COMPONENT_OPTIONS,
+  OPTIONS_SCHEMA,
+  validateOptions,
+} from "./options.js";
+export { ID_PREFIX, formatDiagnostic, hasErrors };
+
+// Reports attributes react-native-svg doesn't know, once per name.
+// Editor data (inkscape:label, ...) is only noted.
+function checkAttribute(node, name, context) {
+  if (
+    PRESENTATION_ATTRIBUTES.has(name) ||
+    SVG_ATTRIBUTES.has(name) ||
+    /^(data|aria)-/.test(name) ||
+    context.reportedAttributes.has(name)
+  ) {
+    return;
+  }
+  context.reportedAttributes.add(name);
+  const isEditorData = name.includes(":");
+  context.diagnostics.push(
+    createDiagnostic(
+      isEditorData ? "info" : "warning",
+      "unknown-attribute",
+      `Unknown attribute "${name}" is passed through as the ${toPropName(name)} prop`,
+      locationOf(node, name)
+    )
+  );
+}
+
+// Reports elements that are converted but may not render as they do in a
+// browser. React DOM output renders in one, so it isn't checked.
+function checkElement(node, context) {
+  if (context.target === "dom") return;
+  const report = (code, message) =>
+    context.diagnostics.push(
+      createDiagnostic("warning", code, message, locationOf(node))
+    );
+  if (node.name === "filter") {
+    report(
+      "partial-support",
+      "Filters are only partly supported by react-native-svg and may render differently"
+    );
+  }
+  const href = node.attributes.href ?? node.attributes["xlink:href"];
+  if (node.name === "image" && href && !/^(data|https?):/.test(href)) {
+    report(
+      "unresolved-image",
+      `Image "${href}" is a relative reference, which won't resolve in React Native`
+    );
+  }
+}
+
+// Root attributes that the component props replace
+const ROOT_PROP_ATTRIBUTES = new Set([
+  "width",
+  "height",
+  "viewBox",
+  "fill",
+  "stroke",
+  "aria-label",
+  "aria-labelledby",
+  "aria-describedby",
+]);
+
+// React DOM output keeps class names, for the web app's stylesheets
+function keepsClassName(name, context) {
+  return name === "class" && context.target === "dom";
+}
+
+// A browser resolves font stacks and CSS units itself, so React DOM output
+// keeps them as they are
+function convertsFonts(name, context) {
+  return (
+    (name === "font-family" || name === "font-size") && context.target !== "dom"
+  );
+}
+
+// React Native font for a font-family stack: the first family the font
+// map has an entry for, or else the first family, reported once per stack
+function convertFontFamily(node, stack, context) {
+  const { family, mapped } = context.resolveFont(stack);
+  if (!mapped && !context.reportedFonts.has(stack)) {
+    context.reportedFonts.add(stack);
+    context.diagnostics.push(
+      createDiagnostic(
+        "warning",
+        "unmapped-font",
+        `Font "${stack}" has no entry in the font map and is passed through as "${family}"`,
+        locationOf(node, "font-family")
+      )
+    );
+  }
+  return family;
+}
+
+// Numeric font size (fontSize={12}). Relative sizes are passed through and
+// reported.
+function convertFontSize(node, value, context) {
+  const size = toFontSize(value);
+  if (size !== null) return expression(String(size));
+  context.diagnostics.push(
+    createDiagnostic(
+      "warning",
+      "relative-font-size",
+      `Font size "${value}" is relative, which react-native-svg can't resolve`,
+      locationOf(node, "font-size")
+    )
+  );
+  return value;
+}
+
+// XML names may contain dots, JSX prop names can't
+const JSX_PROP_NAME = /^[A-Za-z_$][\w$-]*$/;
+
+// Copies the attributes of a parsed element to converted props. role and
+// aria-* attributes become React Native accessibility props for the
+// react-native-svg target and stay as they are for the others. The
+// dropAttributes option drops more attributes, keepAttributes keeps
+// dropped ones.
+function convertAttributes(node, context, skip = () => false) {
+  const attributes = {};
+  const aria = {};
+  for (const [attrName, value] of Object.entries(node.attributes)) {
+    if (
+      isNamespaceDeclaration(attrName) ||
+      skip(attrName) ||
+      context.dropAttributes.has(attrName)
+    ) {
+      continue;
+    }
+    if (keepsClassName(attrName, context)) {
+      attributes.className = value;
+    } else if (convertsFonts(attrName, context)) {
+      attributes[toPropName(attrName)] =
+        attrName === "font-family"
+          ? convertFontFamily(node, value, context)
+          : convertFontSize(node, value, context);
+    } else if (isAccessibilityAttribute(attrName)) {
+      if (context.target === "native") aria[attrName] = value;
+      else attributes[attrName] = value;
+    } else if (
+      !DROPPED_ATTRIBUTES.has(attrName) ||
+      context.keepAttributes.has(attrName)
+    ) {
+      const propName = toPropName(attrName);
+      if (!JSX_PROP_NAME.test(propName)) {
+        context.diagnostics.push(
+          createDiagnostic(
+            "warning",
+            "invalid-attribute-name",
+            `Attribute "${attrName}" has no valid JSX prop name and is dropped`,
+            locationOf(node, attrName)
+          )
+        );
+        continue;
+      }
+      // Attributes kept on request aren't reported
+      if (!context.keepAttributes.has(attrName)) {
+        checkAttribute(node, attrName, context);
+      }
+      attributes[propName] = toStyledValue(node, attrName);
+    }
+  }
+  const accessibility = toNativeAccessibilityProps(
+    aria,
+    context.textById,
+    (name, message) =>
+      context.diagnostics.push(
+        createDiagnostic(
+          "warning",
+          "unsupported-aria",
+          `${message} and is dropped`,
+          locationOf(node, name)
+        )
+      )
+  );
+  return { ...attributes, ...accessibility };
+}
+
+// Converts a parsed SVG element (and its subtree) into react-native-svg
+// elements. Returns null for elements that have no counterpart, reporting
+// why in context.diagnostics. `inText` is set below a <text>: text only
+// renders there, and only text content renders inside one.
+function convertElement(node, context, inText = false) {
+  if (node.type === "text") return inText ? node : null;
+  const dropped = (severity, message) => {
+    context.diagnostics.push(
+      createDiagnostic(severity, "dropped-element", message, locationOf(node))
+    );
+    return null;
+  };
+  // With the animate option, animateElement converts or reports the SMIL
+  // children of each element
+  if (context.animations && ANIMATION_ELEMENTS.has(node.name)) return null;
+  if (Object.hasOwn(DROPPED_ELEMENTS, node.name)) {
+    const reason = DROPPED_ELEMENTS[node.name];
+    return reason
+      ? dropped("warning", `<${node.name}> is dropped: ${reason}`)
+      : null;
+  }
+  if (METADATA_ELEMENTS.has(node.name)) {
+    return dropped("info", `<${node.name}> is dropped`);
+  }
+  if (node.name.includes(":")) {
+    return dropped("info", `Editor data <${node.name}> is dropped`);
+  }
+  const isLink = inText && node.name === "a";
+  const name = isLink ? "TSpan" : toComponentName(node.name);
+  if (!name) {
+    context.diagnostics.push(
+      createDiagnostic(
+        "warning",
+        "unsupported-element",
+        `<${node.name}> has no react-native-svg counterpart and is dropped`,
+        locationOf(node)
+      )
+    );
+    return null;
+  }
+  if (inText && !TEXT_CHILD_ELEMENTS.has(node.name)) {
+    return dropped(
+      "info",
+      `<${node.name}> is dropped: only text content renders inside <text>`
+    );
+  }
+  if (!inText && TEXT_ELEMENTS.has(node.name) && node.name !== "text") {
+    return dropped(
+      "info",
+      `<${node.name}> is dropped: it only renders inside <text>`
+    );
+  }
+  checkElement(node, context);
+
+  const attributes = convertAttributes(
+    node,
+    context,
+    (attrName) => isLink && (attrName === "href" || attrName === "xlink:href")
+  );
+
+  // Shape and group colors are driven by the color prop assigned to their
+  // palette entry
+  if (THEMED_ELEMENTS.has(localName(node.name))) {
+    applyColorProps(
+      attributes,
+      context.colorProps,
+      context.usedColorProps,
+      context.propNames
+    );
+  }
+
+  const isTextRoot = node.name === "text";
+  const children = node.children
+    .map((child) => convertElement(child, context, inText || isTextRoot))
+    .filter(Boolean);
+  const element = { type: "element", name, attributes, children };
+  if (isTextRoot) normalizeTextWhitespace(element);
+  if (context.animations) {
+    animateElement(node, element, context.animations, context.diagnostics);
+  }
+  return element;
+}
+
+const PLAIN_LENGTH = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(px)?$/i;
+
+// Default of a size prop: the root's width or height when it's a plain or
+// px length. Other units (1em, 100%) depend on where the SVG is shown, so
+// the viewBox size, or else `defaultSize`, replaces them and is reported.
+function readSize(root, name, viewBoxSize, defaultSize, diagnostics) {
+  const value = root.attributes[name];
+  if (value === undefined || !String(value).trim()) return defaultSize;
+  const match = PLAIN_LENGTH.exec(String(value).trim());
+  if (match) return Number(match[1]);
+  const size = viewBoxSize > 0 ? viewBoxSize : defaultSize;
+  diagnostics.push(
+    createDiagnostic(
+      "warning",
+      "relative-size",
+      `The ${name} "${value}" has a unit react-native-svg can't size from and is replaced by ${size}`,
+      locationOf(root, name)
+    )
+  );
+  return size;
+}
+
+function byteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+// fillColor and strokeColor come first, then the palette props in palette
+// order
+function colorPropRank(name, colorProps, propNames) {
+  const baseProps = [propNames.fill, propNames.stroke];
+  if (baseProps.includes(name)) return baseProps.indexOf(name);
+  return baseProps.length + Object.values(colorProps).indexOf(name);
+}
+
+// Parses and converts SVG markup into the react-native-svg element tree,
+// the props the generated component declares, each
+// { name, kind, defaultValue }, and the diagnostics for anything that
+// didn't convert cleanly. Also returns what detectPalette and detectFonts
+// would find in the converted part: its palette, the prop names its colors
+// get by default (defaultColorProps) and its font families. Returns null when the markup contains no <svg>
+// element (or not the requested part) and throws when it can't be parsed,
+// with the error's line and column set. Takes the same colorProps,
+// fontMap, normalize, optimize, part, target, indent and component options
+// as svgToReactNative.
+export function convertSvg(svg, options = {}) {
+  const {
+    colorProps = {},
+    fontMap = {},
+    normalize = false,
+    optimize = false,
+    target = "native",
+    output = "component",
+    componentName = "SvgIcon",
+    part,
+    indent = 2,
+  } = options;
+  const {
+    propNames,
+    sizeProps,
+    defaultSize,
+    sizeType,
+    keepRootFill,
+    addViewBox,
+    keepAttributes,
+    dropAttributes,
+    animate,
+  } = resolveComponentOptions(options);
+  const root = part === undefined ? parseSvg(svg) : parseSvgPart(svg, part);
+  if (!root) return null;
+  const diagnostics = applyStyles(root);
+  const fonts = collectFonts(root);
+  const description = readTitleAndDescription(root);
+  const textById = collectTextById(root);
+  const { "aria-labelledby": labelledBy, "aria-describedby": describedBy } =
+    root.attributes;
+  const label =
+    root.attributes["aria-label"]?.trim() ||
+    (labelledBy && referencedText(labelledBy, textById)) ||
+    description.label;
+  const hint =
+    (describedBy && referencedText(describedBy, textById)) || description.hint;
+  const elementsBefore = countElements(root);
+  if (normalize) diagnostics.push(...normalizeTree(root, normalize));
+  if (optimize) optimizeTree(root, optimize);
+
+  const { width, height, viewBox } = root.attributes;
+  const [, , viewBoxWidth, viewBoxHeight] = String(viewBox ?? "")
+    .trim()
+    .split(/[\s,]+/)
+    .map(Number);
+  // Kept as they are, sizes only matter for a viewBox made from them
+  const sizeDiagnostics = sizeProps || !viewBox ? diagnostics : [];
+  const widthValue = readSize(
+    root,
+    "width",
+    viewBoxWidth,
+    defaultSize,
+    sizeDiagnostics
+  );
+  const heightValue = readSize(
+    root,
+    "height",
+    viewBoxHeight,
+    defaultSize,
+    sizeDiagnostics
+  );
+  const toSizeValue = (value) =>
+    sizeType === "string" ? String(value) : value;
+
+  const palette = collectPalette(root);
+  const resolvePalette = (overrides) =>
+    resolveColorProps(
+      palette,
+      overrides,
+      collectCurrentColorProps(root, propNames),
+      propNames,
+      keepRootFill ? {} : collectRootColors(root)
+    );
+  const context = {
+    colorProps: resolvePalette(colorProps),
+    propNames,
+    keepAttributes: new Set(keepAttributes),
+    dropAttributes: new Set(dropAttributes),
+    usedColorProps: new Map(), // prop name -> default color
+    diagnostics,
+    reportedAttributes: new Set(),
+    resolveFont: createFontResolver(fontMap),
+    reportedFonts: new Set(),
+    target,
+    textById,
+    // Animations need hooks, so only native components convert them
+    animations:
+      animate && target === "native" && output === "component"
+        ? createAnimationState()
+        : null,
+  };
+  // Without size props the root keeps the width and height it has
+  const attributes = sizeProps
+    ? {
+        width: expression(propNames.width),
+        height: expression(propNames.height),
+      }
+    : {
+        ...(width && { width }),
+        ...(height && { height }),
+      };
+  if (viewBox || addViewBox) {
+    attributes.viewBox = viewBox || `0 0 ${widthValue} ${heightValue}`;
+  }
+  Object.assign(
+    attributes,
+    // The root fill and stroke are replaced by color props below
+    convertAttributes(
+      root,
+      context,
+      (name) =>
+        ROOT_PROP_ATTRIBUTES.has(name) ||
+        (DROPPED_ROOT_ATTRIBUTES.has(name) && !context.keepAttributes.has(name))
+    )
+  );
+  if (!keepRootFill) {
+    applyRootColorProps(
+      attributes,
+      root.attributes,
+      context.usedColorProps,
+      propNames
+    );
+  }
+  // Root values the props don't replace (fill="none") are kept as-is
+  for (const attribute of COLOR_ATTRIBUTES) {
+    if (!(attribute in attributes) && attribute in root.attributes) {
+      attributes[attribute] = root.attributes[attribute];
+    }
+  }
+  // The root <title> and <desc> become accessibility props
+  if (target !== "dom") attributes.accessible = expression("accessible");
+  attributes.accessibilityLabel = expression("accessibilityLabel");
+  if (hint) attributes.accessibilityHint = hint;
+  attributes.testID = expression("testID");
+
+  if (context.animations) {
+    for (const child of root.children) {
+      if (child.type === "element" && ANIMATION_ELEMENTS.has(child.name)) {
+        diagnostics.push(
+          createDiagnostic(
+            "warning",
+            "unsupported-animation",
+            `<${child.name}> isn't converted: animations of the root <svg> aren't supported`,
+            locationOf(child)
+          )
+        );
+      }
+    }
+  }
+  const children = root.children
+    .filter((child) => !description.elements.includes(child))
+    .map((child) => convertElement(child, context))
+    .filter(Boolean);
+  const tree = { type: "element", name: "Svg", attributes, children };
+  // A standalone asset is never rendered twice on one screen, so its ids
+  // stay as they are
+  const hasScopedIds = target !== "uri" && scopeIds(tree);
+  diagnostics.sort(
+    (a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0)
+  );
+
+  const colorPropNames = [...context.usedColorProps.keys()].sort(
+    (a, b) =>
+      colorPropRank(a, context.colorProps, propNames) -
+      colorPropRank(b, context.colorProps, propNames)
+  );
+  const sizePropList = [
+    {
+      name: propNames.width,
+      kind: "size",
+      defaultValue: toSizeValue(widthValue),
+    },
+    {
+      name: propNames.height,
+      kind: "size",
+      defaultValue: toSizeValue(heightValue),
+    },
+  ];
+  const props = [
+    ...(sizeProps ? sizePropList : []),
+    ...colorPropNames.map((name) => ({
+      name,
+      kind: "color",
+      defaultValue: context.usedColorProps.get(name) || "black",
+    })),
+    ...accessibilityProps(label, componentName).filter(
+      ({ name }) => name in attributes
+    ),
+  ];
+  return {
+    tree,
+    props,
+    diagnostics,
+    hasScopedIds,
+    animations: context.animations?.elements.length
+      ? renderAnimations(context.animations, " ".repeat(indent))
+      : null,
+    elementsBefore,
+    elementsAfter: countElements(root),
+    palette,
+    defaultColorProps: resolvePalette({}),
+    fonts,
+  };
+}
+
+// Converts SVG markup to react-native-svg JSX. Returns
+// { code, diagnostics, conversion }: code is empty when an error
+// diagnostic stopped the conversion, conversion is the convertSvg result
+// the code was rendered from (undefined when it stopped).
+// options.output: "component" (default) emits a complete module with
+// imports, default props and a default export; "snippet" emits only the
+// <Svg> element.
+// options.target: "native" (default) for react-native-svg elements, "dom"
+// for React DOM <svg> JSX, "xml" for a react-native-svg <SvgXml> with the
+// markup inlined, or "uri" for a cleaned standalone .svg to load with
+// <SvgUri> (output and language don't apply to it).
+// options.componentName: name of the generated component.
+// options.language: "js" (default) or "ts" for a typed .tsx module.
+// options.indent: spaces per nesting level of the JSX and the component
+// code, 2 by default.
+// options.part: index of the part to convert when the markup is a sprite
+// sheet or has several top-level <svg>s (see listSvgParts); an ordinary SVG
+// is part 0. Without it the first <svg> is converted as a whole.
+// options.colorProps: overrides for the detected palette, mapping a
+// normalized color to a prop name, or to null to keep it hard-coded; false
+// keeps every color hard-coded (the root fill and stroke stay props).
+// options.fontMap: React Native font names for web font families, e.g.
+// { "Helvetica Neue": "Inter-Regular" }. A font-family stack becomes the
+// font of its first mapped family; unmapped stacks are reported.
+// options.normalize: false (default), or { size, padding } to fit the
+// artwork into a size×size viewBox (24 by default) with `padding` units
+// around it, baking transforms into the coordinates.
+// options.optimize: false (default), or { precision } to optimize the SVG
+// before converting it.
+// options.propNames: { width, height, fill, stroke } names of the size
+// props and of the color props the root fill and stroke (and currentColor)
+// become; "width", "height", "fillColor" and "strokeColor" by default.
+// options.sizeProps: true (default) replaces the root width and height
+// with props; false keeps them as they are.
+// options.defaultSize: width and height of an SVG without them, 100 by
+// default.
+// options.sizeType: "number" (default) or "string" default values of the
+// size props.
+// options.keepRootFill: true keeps the root fill and stroke as they are
+// instead of turning them into color props (false by default).
+// options.addViewBox: true (default) gives an SVG without a viewBox one
+// from its width and height.
+// options.keepAttributes / options.dropAttributes: SVG attribute names to
+// keep although the conversion drops them (e.g. "class", "version"), and
+// to drop everywhere (e.g. "data-name").
+// options.animate: true converts SMIL <animate> and <animateTransform>
+// elements to react-native-reanimated animated props (native components
+// only; false by default). Animations it can't map are reported.
+// Options are checked against OPTIONS_SCHEMA: an invalid one stops the
+// conversion with an "invalid-option" error, an unknown one is reported.
+// options.onStats: called with { inputBytes, outputBytes, elementsBefore,
+// elementsAfter } after a successful conversion.
+export function svgToReactNative(svg, options = {}) {
+  const failure = (code, message, location) => ({
+    code: "",
+    diagnostics: [createDiagnostic("error", code, message, location)],
+  });
+  if (!svg || typeof svg !== "string") {
+    return failure("invalid-input", "The SVG input is empty");
+  }
+  const optionDiagnostics = validateOptions(options);
+  if (hasErrors(optionDiagnostics)) {
+    return { code: "", diagnostics: optionDiagnostics };
+  }
+  const {
+    output = "component",
+    componentName = "SvgIcon",
+    language = "js",
+    target = "native",
+    indent = 2,
+    onStats,
+  } = options;
+
+  let result;
+  try {
+    result = convertSvg(svg, options);
+  } catch (error) {
+    const location = error.line ? error : null;
+    return failure("parse-error", error.message, location);
+  }
+  if (!result) {
+    return options.part === undefined
+      ? failure("no-svg", "No <svg> element found")
+      : failure("no-part", `The SVG has no part ${options.part}`);
+  }
+
+  const { tree, props, hasScopedIds, animations } = result;
+  const diagnostics = [...optionDiagnostics, ...result.diagnostics];
+  let code;
+  if (target === "uri") {
+    code = renderSvgAsset(tree, props);
+  } else {
+    const root =
+      target === "dom"
+        ? toDomTree(tree)
+        : target === "xml"
+          ? toSvgXmlElement(tree, props)
+          : tree;
+    code =
+      output === "snippet"
+        ? serializeJsx(root, "", " ".repeat(indent))
+        : renderComponentModule({
+            componentName,
+            tree: root,
+            props,
+            statements: [
+              ...(hasScopedIds ? [`const ${ID_PREFIX} = useId();`] : []),
+              ...(animations?.statements ?? []),
+            ],
+            reactImports: [
+              ...(hasScopedIds ? ["useId"] : []),
+              ...(animations?.reactImports ?? []),
+            ],
+            imports: animations?.imports,
+            declarations: animations?.declarations,
+            typescript: language === "ts",
+            target,
+            indent: " ".repeat(indent),
+          });
+  }
+
+  if (onStats) {
+    onStats({
+      inputBytes: byteLength(svg),
+      outputBytes: byteLength(code),
+      elementsBefore: result.elementsBefore,
+      elementsAfter: result.elementsAfter,
+    });
+  }
+  return { code, diagnostics, conversion: result };
+}
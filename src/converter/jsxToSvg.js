@@ -0,0 +1,430 @@
+// Converts react-native-svg JSX (a generated component, a bare <Svg>
+// snippet or a hand-written icon) back to a standalone .svg file. Prop
+// expressions are resolved with the defaults of the component's
+// destructured props, e.g. `{ width = 24, fillColor = "#000" }`.
+import { createDiagnostic, createLocator, locationOf } from "./diagnostics.js";
+import { titleElements } from "./accessibility.js";
+import { evaluateExpression } from "./evaluateExpression.js";
+import {
+  SVG_ATTRIBUTES,
+  toComponentName,
+  toSvgAttributeName,
+  toSvgElementName,
+} from "./mappings.js";
+import { expression, isExpression } from "./serializeJsx.js";
+import { ID_PREFIX } from "./scopeIds.js";
+import { renderSvgMarkup } from "./svgMarkup.js";
+
+const JSX_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+// Props that only mean something to React or React Native
+const IGNORED_PROPS = new Set(["key", "ref", "style", "accessible", "testID"]);
+
+// Root props written back as <title> and <desc>
+const DESCRIPTION_PROPS = new Set(["accessibilityLabel", "accessibilityHint"]);
+
+// Hand-written JSX sometimes uses the React DOM names
+const PROP_ALIASES = { xlinkHref: "href", className: "class" };
+
+// Stands in for a useId() prefix while evaluating, so `${idPrefix}-a`
+// turns back into the original id "a"
+const ID_MARKER = "\0";
+
+const NAME = /[A-Za-z_$][\w$.:-]*/y;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] === "#") {
+      const code =
+        ref[1] === "x" || ref[1] === "X"
+          ? parseInt(ref.slice(2), 16)
+          : parseInt(ref.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return Object.hasOwn(JSX_ENTITIES, ref) ? JSX_ENTITIES[ref] : match;
+  });
+}
+
+// JSX drops lines that are only whitespace and trims the rest where they
+// meet a line break
+function normalizeJsxText(raw) {
+  const lines = raw.split(/\r\n|\r|\n/);
+  return lines
+    .map((line, index) => {
+      let text = index > 0 ? line.trimStart() : line;
+      if (index < lines.length - 1) text = text.trimEnd();
+      return text;
+    })
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Removes // and /* */ comments outside string and template literals, so
+// {"https://example.com"} keeps its URL
+function stripComments(code) {
+  let result = "";
+  let index = 0;
+  while (index < code.length) {
+    const char = code[index];
+    if (char === '"' || char === "'" || char === "`") {
+      let end = index + 1;
+      while (end < code.length && code[end] !== char) {
+        end += code[end] === "\\" ? 2 : 1;
+      }
+      result += code.slice(index, end + 1);
+      index = end + 1;
+    } else if (code.startsWith("//", index)) {
+      const end = code.indexOf("\n", index);
+      index = end === -1 ? code.length : end;
+    } else if (code.startsWith("/*", index)) {
+      const end = code.indexOf("*/", index + 2);
+      index = end === -1 ? code.length : end + 2;
+    } else {
+      result += char;
+      index++;
+    }
+  }
+  return result.trim();
+}
+
+// Parses the JSX element that starts at `start` into the converted tree
+// format, with prop values as strings, `true` for bare props and
+// expression() markers for {...} values. Spread props are skipped and
+// reported through `onSpread`. Throws with line and column on malformed
+// JSX.
+function parseJsx(source, start, onSpread) {
+  const locate = createLocator(source);
+  let index = start;
+
+  const fail = (message) => {
+    throw Object.assign(new Error(message), locate(index));
+  };
+  const skipWhitespace = () => {
+    for (;;) {
+      while (index < source.length && /\s/.test(source[index])) index++;
+      if (!source.startsWith("/*", index)) return;
+      const end = source.indexOf("*/", index + 2);
+      if (end === -1) fail("Unterminated comment");
+      index = end + 2;
+    }
+  };
+  const readName = () => {
+    NAME.lastIndex = index;
+    const found = NAME.exec(source);
+    if (!found) return null;
+    index = NAME.lastIndex;
+    return found[0];
+  };
+
+  // Skips a string or template literal starting at `index`
+  const skipString = (quote) => {
+    const open = index++;
+    while (source[index] !== quote) {
+      if (index >= source.length) {
+        index = open;
+        fail("Unterminated string");
+      }
+      if (source[index] === "\\") {
+        index += 2;
+      } else if (quote === "`" && source.startsWith("${", index)) {
+        index++;
+        readBraced();
+      } else {
+        index++;
+      }
+    }
+    index++;
+  };
+
+  // Reads a {...} block starting at `index` and returns the code inside
+  const readBraced = () => {
+    const open = index++;
+    let depth = 1;
+    while (depth > 0) {
+      if (index >= source.length) {
+        index = open;
+        fail("Unclosed {");
+      }
+      const char = source[index];
+      if (char === '"' || char === "'" || char === "`") {
+        skipString(char);
+      } else if (source.startsWith("//", index)) {
+        const end = source.indexOf("\n", index);
+        index = end === -1 ? source.length : end;
+      } else if (source.startsWith("/*", index)) {
+        const end = source.indexOf("*/", index + 2);
+        index = end === -1 ? source.length : end + 2;
+      } else {
+        if (char === "{") depth++;
+        if (char === "}") depth--;
+        index++;
+      }
+    }
+    return source.slice(open + 1, index - 1);
+  };
+
+  const readValue = () => {
+    const quote = source[index];
+    if (quote === "{") {
+      const code = stripComments(readBraced());
+      if (!code) fail("Empty prop expression");
+      return expression(code);
+    }
+    if (quote !== '"' && quote !== "'") fail("Expected a prop value");
+    const end = source.indexOf(quote, index + 1);
+    if (end === -1) fail("Unterminated string");
+    const value = decodeEntities(source.slice(index + 1, end));
+    index = end + 1;
+    return value;
+  };
+
+  const parseElement = () => {
+    const elementStart = index;
+    const location = { ...locate(index), attributes: {} };
+    index++;
+    const name = readName();
+    if (!name) fail("Expected an element name");
+    const node = { type: "element", name, attributes: {}, children: [] };
+    node.location = location;
+
+    for (;;) {
+      skipWhitespace();
+      if (index >= source.length) fail(`Unterminated <${name}> tag`);
+      if (source.startsWith("/>", index)) {
+        index += 2;
+        return node;
+      }
+      if (source[index] === ">") {
+        index++;
+        break;
+      }
+      if (source[index] === "{") {
+        const spreadLocation = locate(index);
+        if (!/^\s*\.\.\./.test(readBraced())) fail("Expected a prop name");
+        onSpread(spreadLocation);
+        continue;
+      }
+      const propLocation = locate(index);
+      const propName = readName();
+      if (!propName) fail("Expected a prop name");
+      skipWhitespace();
+      let value = true;
+      if (source[index] === "=") {
+        index++;
+        skipWhitespace();
+        value = readValue();
+      }
+      node.attributes[propName] = value;
+      location.attributes[propName] = propLocation;
+    }
+
+    for (;;) {
+      if (index >= source.length) {
+        index = elementStart;
+        fail(`<${name}> is not closed`);
+      }
+      if (source.startsWith("</", index)) {
+        index += 2;
+        skipWhitespace();
+        const closingName = readName();
+        if (closingName !== name) fail(`Expected </${name}>`);
+        skipWhitespace();
+        if (source[index] !== ">") fail("Expected >");
+        index++;
+        return node;
+      }
+      if (source[index] === "<") {
+        node.children.push(parseElement());
+      } else if (source[index] === "{") {
+        const childLocation = locate(index);
+        const code = stripComments(readBraced());
+        if (code) {
+          node.children.push({ ...expression(code), location: childLocation });
+        }
+      } else {
+        const end = source.slice(index).search(/[<{]/);
+        const textEnd = end === -1 ? source.length : index + end;
+        const text = normalizeJsxText(source.slice(index, textEnd));
+        if (text) {
+          node.children.push({ type: "text", value: decodeEntities(text) });
+        }
+        index = textEnd;
+      }
+    }
+  };
+
+  return parseElement();
+}
+
+// Default values of the destructured component props, e.g.
+// `({ width = 24, fillColor = "#000" })` -> { width: 24, fillColor: "#000" }
+function readPropDefaults(code) {
+  const defaults = {};
+  // Props declared without a default are undefined
+  for (const [, list] of code.matchAll(/\{([^{}]*)\}\s*(?::[^)]*)?\)/g)) {
+    for (const item of list.split(",")) {
+      const name = item.trim();
+      if (/^[A-Za-z_$][\w$]*$/.test(name)) defaults[name] = undefined;
+    }
+  }
+  const pattern =
+    /([A-Za-z_$][\w$]*)\s*=\s*(-?(?:\d+\.?\d*|\.\d+)|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|true|false)\s*(?=[,}])/g;
+  for (const [, name, literal] of code.matchAll(pattern)) {
+    defaults[name] = evaluateExpression(literal);
+  }
+  return defaults;
+}
+
+// Names bound to useId(), which scopeIds prefixes the ids with
+function readIdPrefixNames(code) {
+  const names = new Set([ID_PREFIX]);
+  const pattern = /\b([A-Za-z_$][\w$]*)\s*=\s*(?:React\.)?useId\(\s*\)/g;
+  for (const [, name] of code.matchAll(pattern)) names.add(name);
+  return names;
+}
+
+function removeIdMarkers(value) {
+  if (typeof value !== "string") return value;
+  return value.split(`${ID_MARKER}-`).join("").split(ID_MARKER).join("");
+}
+
+// Component name for a JSX element name, accepting <Svg.Path> and the
+// lowercase React DOM names, or undefined when it isn't an SVG element
+function toSvgComponent(name) {
+  const unprefixed = name.replace(/^Svg\./, "");
+  const component = /^[a-z]/.test(unprefixed)
+    ? toComponentName(unprefixed)
+    : unprefixed;
+  if (!component) return undefined;
+  return toComponentName(toSvgElementName(component)) === component
+    ? component
+    : undefined;
+}
+
+// Resolves the expressions of a parsed JSX element, leaving a tree that
+// renderSvgMarkup can write out. Returns null for elements that are
+// dropped.
+function resolveElement(node, scope, report, isRoot = false) {
+  const name = toSvgComponent(node.name);
+  if (!name) {
+    report(
+      "warning",
+      "unsupported-element",
+      `<${node.name}> isn't an SVG element and is dropped`,
+      locationOf(node)
+    );
+    return null;
+  }
+
+  const evaluate = (code, location, what) => {
+    try {
+      return { value: removeIdMarkers(evaluateExpression(code, scope)) };
+    } catch (error) {
+      report(
+        "warning",
+        "unresolved-expression",
+        `Can't resolve {${code}} (${error.message}), so ${what} is dropped`,
+        location
+      );
+      return null;
+    }
+  };
+
+  const attributes = {};
+  for (const [propName, rawValue] of Object.entries(node.attributes)) {
+    if (IGNORED_PROPS.has(propName)) continue;
+    const location = locationOf(node, propName);
+    const attributeProp = Object.hasOwn(PROP_ALIASES, propName)
+      ? PROP_ALIASES[propName]
+      : propName;
+    const attributeName = toSvgAttributeName(attributeProp);
+    const isDescription = isRoot && DESCRIPTION_PROPS.has(propName);
+    if (
+      /[A-Z]/.test(attributeName) &&
+      !SVG_ATTRIBUTES.has(attributeName) &&
+      !isDescription
+    ) {
+      report(
+        "info",
+        "dropped-prop",
+        `The ${propName} prop has no SVG attribute and is dropped`,
+        location
+      );
+      continue;
+    }
+    if (!isExpression(rawValue)) {
+      attributes[attributeProp] = rawValue;
+      continue;
+    }
+    const result = evaluate(rawValue.code, location, `the ${propName} prop`);
+    if (result) attributes[attributeProp] = result.value;
+  }
+
+  const children = [];
+  for (const child of node.children) {
+    if (child.type === "text") {
+      children.push(child);
+    } else if (isExpression(child)) {
+      const result = evaluate(child.code, child.location, "the text");
+      if (result && result.value !== null && result.value !== undefined) {
+        if (typeof result.value !== "boolean") {
+          children.push({ type: "text", value: String(result.value) });
+        }
+      }
+    } else {
+      const element = resolveElement(child, scope, report);
+      if (element) children.push(element);
+    }
+  }
+  return { type: "element", name, attributes, children };
+}
+
+// Converts react-native-svg JSX to a standalone SVG document. Returns
+// { code, diagnostics } like svgToReactNative: code is empty when an error
+// diagnostic stopped the conversion.
+export function reactNativeToSvg(source) {
+  const failure = (code, message, location) => ({
+    code: "",
+    diagnostics: [createDiagnostic("error", code, message, location)],
+  });
+  if (!source || typeof source !== "string") {
+    return failure("invalid-input", "The JSX input is empty");
+  }
+  const start = source.search(/<(?:Svg|svg)[\s/>]/);
+  if (start === -1) return failure("no-svg", "No <Svg> element found");
+
+  const diagnostics = [];
+  const report = (severity, code, message, location) =>
+    diagnostics.push(createDiagnostic(severity, code, message, location));
+
+  let jsx;
+  try {
+    jsx = parseJsx(source, start, (location) =>
+      report("info", "ignored-spread", "Spread props are ignored", location)
+    );
+  } catch (error) {
+    return failure("parse-error", error.message, error.line ? error : null);
+  }
+
+  const header = source.slice(0, start);
+  const scope = readPropDefaults(header);
+  for (const name of readIdPrefixNames(header)) scope[name] = ID_MARKER;
+
+  const tree = resolveElement(jsx, scope, report, true);
+  const { accessibilityLabel, accessibilityHint } = tree.attributes;
+  tree.children.unshift(
+    ...titleElements(accessibilityLabel, accessibilityHint)
+  );
+  const code = `${renderSvgMarkup(tree, {}, { indent: "  " })}\n`;
+  diagnostics.sort(
+    (a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0)
+  );
+  return { code, diagnostics };
+}
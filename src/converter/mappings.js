@@ -0,0 +1,276 @@
+// Lookup tables from SVG element/attribute names to their react-native-svg
+// equivalents.
+
+export const ELEMENT_NAMES = {
+  svg: "Svg",
+  g: "G",
+  path: "Path",
+  circle: "Circle",
+  ellipse: "Ellipse",
+  line: "Line",
+  polygon: "Polygon",
+  polyline: "Polyline",
+  rect: "Rect",
+  text: "Text",
+  tspan: "TSpan",
+  textPath: "TextPath",
+  defs: "Defs",
+  linearGradient: "LinearGradient",
+  radialGradient: "RadialGradient",
+  stop: "Stop",
+  clipPath: "ClipPath",
+  mask: "Mask",
+  pattern: "Pattern",
+  use: "Use",
+  symbol: "Symbol",
+  image: "Image",
+  marker: "Marker",
+  filter: "Filter",
+  // Filter primitives react-native-svg implements
+  feBlend: "FeBlend",
+  feColorMatrix: "FeColorMatrix",
+  feComposite: "FeComposite",
+  feFlood: "FeFlood",
+  feGaussianBlur: "FeGaussianBlur",
+  feMerge: "FeMerge",
+  feMergeNode: "FeMergeNode",
+  feOffset: "FeOffset",
+  // Containers without a counterpart keep their children in a group
+  switch: "G",
+  a: "G",
+};
+
+// SMIL animation elements, which animate their parent element. The animate
+// option converts the common ones (see animation.js).
+export const ANIMATION_ELEMENTS = new Set([
+  "animate",
+  "animateMotion",
+  "animateTransform",
+  "set",
+]);
+
+// Elements whose content has no react-native-svg counterpart at all, with
+// the reason reported when one is dropped. <style> goes silently, since its
+// rules are applied to the elements they select.
+const SMIL_REASON = "SMIL animation isn't supported by react-native-svg";
+export const DROPPED_ELEMENTS = {
+  style: null,
+  script: "scripts don't run in react-native-svg",
+  foreignObject: "react-native-svg can't render its HTML content",
+  animate: SMIL_REASON,
+  animateMotion: SMIL_REASON,
+  animateTransform: SMIL_REASON,
+  set: SMIL_REASON,
+};
+
+// Document metadata, dropped since nothing renders it
+export const METADATA_ELEMENTS = new Set(["title", "desc", "metadata"]);
+
+// Attributes react-native-svg ignores. Classes are resolved by inlining
+// the stylesheet rules that select them.
+export const DROPPED_ATTRIBUTES = new Set(["class"]);
+
+// Attribute names that don't follow the generic camelCase rule.
+export const ATTRIBUTE_NAMES = {
+  // react-native-svg only resolves references through href
+  "xlink:href": "href",
+  "xml:space": "xmlSpace",
+};
+
+// Root attributes that only make sense for a standalone document.
+export const DROPPED_ROOT_ATTRIBUTES = new Set([
+  "version",
+  "baseProfile",
+  "enable-background",
+]);
+
+// CSS properties that can be expressed as SVG presentation attributes
+export const PRESENTATION_ATTRIBUTES = new Set([
+  "alignment-baseline",
+  "baseline-shift",
+  "clip-path",
+  "clip-rule",
+  "color",
+  "display",
+  "dominant-baseline",
+  "fill",
+  "fill-opacity",
+  "fill-rule",
+  "font-family",
+  "font-size",
+  "font-stretch",
+  "font-style",
+  "font-variant",
+  "font-weight",
+  "letter-spacing",
+  "marker-end",
+  "marker-mid",
+  "marker-start",
+  "mask",
+  "opacity",
+  "stop-color",
+  "stop-opacity",
+  "stroke",
+  "stroke-dasharray",
+  "stroke-dashoffset",
+  "stroke-linecap",
+  "stroke-linejoin",
+  "stroke-miterlimit",
+  "stroke-opacity",
+  "stroke-width",
+  "text-anchor",
+  "text-decoration",
+  "transform",
+  "vector-effect",
+  "visibility",
+  "word-spacing",
+]);
+
+// Other attributes react-native-svg understands. Attributes outside these
+// and the presentation attributes are passed through, but reported.
+export const SVG_ATTRIBUTES = new Set([
+  "id",
+  "x",
+  "y",
+  "x1",
+  "y1",
+  "x2",
+  "y2",
+  "cx",
+  "cy",
+  "r",
+  "rx",
+  "ry",
+  "fx",
+  "fy",
+  "fr",
+  "width",
+  "height",
+  "d",
+  "points",
+  "viewBox",
+  "preserveAspectRatio",
+  "href",
+  "xlink:href",
+  "xml:space",
+  "offset",
+  "gradientUnits",
+  "gradientTransform",
+  "spreadMethod",
+  "patternUnits",
+  "patternContentUnits",
+  "patternTransform",
+  "clipPathUnits",
+  "maskUnits",
+  "maskContentUnits",
+  "markerUnits",
+  "markerWidth",
+  "markerHeight",
+  "refX",
+  "refY",
+  "orient",
+  "pathLength",
+  "dx",
+  "dy",
+  "rotate",
+  "textLength",
+  "lengthAdjust",
+  "startOffset",
+  "method",
+  "spacing",
+  "side",
+  "filterUnits",
+  "primitiveUnits",
+  "in",
+  "in2",
+  "result",
+  "stdDeviation",
+  "values",
+  "type",
+  "mode",
+  "operator",
+  "k1",
+  "k2",
+  "k3",
+  "k4",
+  "flood-color",
+  "flood-opacity",
+  "overflow",
+  "pointer-events",
+  "filter",
+]);
+
+// react-native-svg component for an SVG element, or undefined when there
+// is none
+export function toComponentName(name) {
+  return Object.hasOwn(ELEMENT_NAMES, name) ? ELEMENT_NAMES[name] : undefined;
+}
+
+export function isNamespaceDeclaration(name) {
+  return name === "xmlns" || name.startsWith("xmlns:");
+}
+
+// stroke-dasharray-offset -> strokeDasharrayOffset, xlink:title -> xlinkTitle
+export function toPropName(name) {
+  if (ATTRIBUTE_NAMES[name]) return ATTRIBUTE_NAMES[name];
+  return name.replace(/[-:]+([a-zA-Z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+// SVG element name for a react-native-svg component: Path -> path,
+// LinearGradient -> linearGradient.
+export function toSvgElementName(componentName) {
+  const entry = Object.entries(ELEMENT_NAMES).find(
+    ([, name]) => name === componentName
+  );
+  if (entry) return entry[0];
+  return componentName.charAt(0).toLowerCase() + componentName.slice(1);
+}
+
+// Hyphenated SVG attributes besides the presentation attributes
+const HYPHENATED_ATTRIBUTES = new Set([
+  ...PRESENTATION_ATTRIBUTES,
+  "color-interpolation-filters",
+  "flood-color",
+  "flood-opacity",
+  "lighting-color",
+  "paint-order",
+  "shape-rendering",
+]);
+
+// dataName, ariaLabel: data-* and aria-* attributes in camelCase
+function isDataOrAriaProp(propName) {
+  return /^(data|aria)[A-Z]/.test(propName);
+}
+
+// SVG attribute name for a prop: strokeWidth -> stroke-width. Attributes
+// that are camelCase in SVG itself (viewBox, gradientUnits) stay as they
+// are.
+export function toSvgAttributeName(propName) {
+  const entry = Object.entries(ATTRIBUTE_NAMES).find(
+    ([, name]) => name === propName
+  );
+  if (entry && entry[0] !== "xlink:href") return entry[0];
+  const hyphenated = propName.replace(
+    /[A-Z]/g,
+    (char) => `-${char.toLowerCase()}`
+  );
+  return HYPHENATED_ATTRIBUTES.has(hyphenated) || isDataOrAriaProp(propName)
+    ? hyphenated
+    : propName;
+}
+
+// React DOM names of the react-native-svg props that differ
+const DOM_PROP_NAMES = {
+  href: "xlinkHref",
+  accessibilityLabel: "aria-label",
+  accessibilityHint: "aria-description",
+  testID: "data-testid",
+};
+
+// React DOM prop for a react-native-svg prop: href -> xlinkHref,
+// dataName -> data-name. Other SVG props have the same name in both.
+export function toDomPropName(propName) {
+  if (Object.hasOwn(DOM_PROP_NAMES, propName)) return DOM_PROP_NAMES[propName];
+  if (!isDataOrAriaProp(propName)) return propName;
+  return propName.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+}
@@ -0,0 +1,467 @@
+// Optional fitting of the artwork to an icon grid, run on the parsed source
+// tree before optimization: measures the bounding box of what renders,
+// bakes every transform into the path coordinates, then scales and centers
+// the artwork into a square viewBox, e.g. 24×24 with 2 units of padding.
+import { localName } from "./parseSvg.js";
+import {
+  curveBounds,
+  formatNumber,
+  parsePathData,
+  serializePathData,
+  toAbsolute,
+  toCubicSegments,
+} from "./pathData.js";
+import {
+  IDENTITY,
+  applyToPoint,
+  formatMatrix,
+  isIdentity,
+  multiply,
+  parseTransform,
+  scaleFactor,
+  transformSegments,
+} from "./transform.js";
+import { NON_RENDERED_ELEMENTS } from "./optimize.js";
+import { hasAnimations } from "./animation.js";
+import { createDiagnostic, locationOf } from "./diagnostics.js";
+
+export const DEFAULT_GRID_SIZE = 24;
+
+const PRECISION = 3;
+
+// Elements whose geometry becomes path data
+const SHAPE_ELEMENTS = new Set([
+  "path",
+  "rect",
+  "circle",
+  "ellipse",
+  "line",
+  "polyline",
+  "polygon",
+]);
+const GEOMETRY_ATTRIBUTES = new Set([
+  "d",
+  "x",
+  "y",
+  "width",
+  "height",
+  "rx",
+  "ry",
+  "cx",
+  "cy",
+  "r",
+  "x1",
+  "y1",
+  "x2",
+  "y2",
+  "points",
+]);
+const CONTAINER_ELEMENTS = new Set(["g", "a", "switch"]);
+// Rendered, but kept as they are with the transform that places them
+const PLACED_ELEMENTS = new Set(["text", "image", "use", "svg"]);
+
+// Attributes that draw with content defined in the element's own
+// coordinates (clip paths, gradients, markers), which baking would move
+const REFERENCE_ATTRIBUTES = [
+  "fill",
+  "stroke",
+  "clip-path",
+  "mask",
+  "filter",
+  "marker-start",
+  "marker-mid",
+  "marker-end",
+];
+
+function keepsCoordinates(node) {
+  return (
+    "vector-effect" in node.attributes ||
+    REFERENCE_ATTRIBUTES.some((name) =>
+      /url\(/.test(node.attributes[name] ?? "")
+    )
+  );
+}
+
+const LENGTH = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(px)?$/i;
+
+// A plain or px length, NaN for anything else (percentages, em)
+function readLength(value, fallback = 0) {
+  if (value === undefined) return fallback;
+  const match = LENGTH.exec(String(value).trim());
+  return match ? Number(match[1]) : NaN;
+}
+
+// Scales a length or a list of lengths (a dash array) by `scale`. Values
+// may be numbers; lengths that can't be read are kept as they are.
+function scaleLengths(value, scale) {
+  return String(value)
+    .trim()
+    .split(/\s*,\s*|\s+/)
+    .map((part) => {
+      const length = readLength(part);
+      return Number.isNaN(length)
+        ? part
+        : formatNumber(length * scale, PRECISION);
+    })
+    .join(" ");
+}
+
+function arc(rx, ry, x, y, largeArc = 0) {
+  return { command: "A", values: [rx, ry, 0, largeArc, 1, x, y] };
+}
+
+// Absolute path segments drawing a shape, [] for shapes that don't render
+// and null when its geometry uses units that can't be resolved here
+function shapeSegments(node) {
+  const name = localName(node.name);
+  const { attributes } = node;
+  const read = (attribute) => readLength(attributes[attribute]);
+  let segments;
+  if (name === "path") {
+    try {
+      segments = toAbsolute(parsePathData(String(attributes.d ?? "")));
+    } catch {
+      return null; // Broken path data renders up to the error; leave it be
+    }
+  } else if (name === "rect") {
+    const [x, y, width, height] = ["x", "y", "width", "height"].map(read);
+    // A missing radius takes the other one
+    const radius = (attribute) =>
+      attribute in attributes ? read(attribute) : undefined;
+    const rx = Math.min(radius("rx") ?? radius("ry") ?? 0, width / 2);
+    const ry = Math.min(radius("ry") ?? radius("rx") ?? 0, height / 2);
+    if (!(width > 0 && height > 0)) {
+      return [x, y, width, height].some(Number.isNaN) ? null : [];
+    }
+    segments = [
+      { command: "M", values: [x + rx, y] },
+      { command: "H", values: [x + width - rx] },
+      arc(rx, ry, x + width, y + ry),
+      { command: "V", values: [y + height - ry] },
+      arc(rx, ry, x + width - rx, y + height),
+      { command: "H", values: [x + rx] },
+      arc(rx, ry, x, y + height - ry),
+      { command: "V", values: [y + ry] },
+      arc(rx, ry, x + rx, y),
+      { command: "Z", values: [] },
+    ];
+  } else if (name === "circle" || name === "ellipse") {
+    const [cx, cy] = [read("cx"), read("cy")];
+    const rx = read(name === "circle" ? "r" : "rx");
+    const ry = read(name === "circle" ? "r" : "ry");
+    if (!(rx > 0 && ry > 0)) {
+      return [cx, cy, rx, ry].some(Number.isNaN) ? null : [];
+    }
+    segments = [
+      { command: "M", values: [cx - rx, cy] },
+      arc(rx, ry, cx + rx, cy, 1),
+      arc(rx, ry, cx - rx, cy, 1),
+      { command: "Z", values: [] },
+    ];
+  } else if (name === "line") {
+    const [x1, y1, x2, y2] = ["x1", "y1", "x2", "y2"].map(read);
+    segments = [
+      { command: "M", values: [x1, y1] },
+      { command: "L", values: [x2, y2] },
+    ];
+  } else {
+    const numbers = (
+      String(attributes.points ?? "").match(
+        /[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/gi
+      ) ?? []
+    ).map(Number);
+    segments = [];
+    for (let i = 0; i + 1 < numbers.length; i += 2) {
+      const command = i === 0 ? "M" : "L";
+      segments.push({ command, values: [numbers[i], numbers[i + 1]] });
+    }
+    if (name === "polygon" && segments.length > 0) {
+      segments.push({ command: "Z", values: [] });
+    }
+  }
+  const isResolved = segments.every(({ values }) =>
+    values.every(Number.isFinite)
+  );
+  return isResolved ? toCubicSegments(segments) : null;
+}
+
+function includeBounds(bounds, box) {
+  if (!box) return;
+  bounds.minX = Math.min(bounds.minX, box.minX);
+  bounds.minY = Math.min(bounds.minY, box.minY);
+  bounds.maxX = Math.max(bounds.maxX, box.maxX);
+  bounds.maxY = Math.max(bounds.maxY, box.maxY);
+}
+
+// Bounds of a transformed rectangle, e.g. an <image>
+function rectBounds(matrix, x, y, width, height) {
+  if (![x, y, width, height].every(Number.isFinite)) return null;
+  const corners = [
+    [x, y],
+    [x + width, y],
+    [x, y + height],
+    [x + width, y + height],
+  ].map(([px, py]) => applyToPoint(matrix, px, py));
+  const xs = corners.map(([px]) => px);
+  const ys = corners.map(([, py]) => py);
+  return {
+    minX: Math.min(...xs),
+    minY: Math.min(...ys),
+    maxX: Math.max(...xs),
+    maxY: Math.max(...ys),
+  };
+}
+
+// The element's transform applied after `matrix`. A transform a browser
+// can't parse is ignored, as a browser would, and reported.
+function elementMatrix(node, matrix, context) {
+  try {
+    return multiply(matrix, parseTransform(node.attributes.transform));
+  } catch (error) {
+    context.report(node, "invalid-transform", `${error.message} is ignored`);
+    delete node.attributes.transform;
+    return matrix;
+  }
+}
+
+function isRendered(node) {
+  return (
+    node.type === "element" &&
+    !NON_RENDERED_ELEMENTS.has(localName(node.name)) &&
+    node.attributes.display !== "none"
+  );
+}
+
+// Adds the bounds of everything `node` renders, in the coordinates of
+// `matrix`, to `bounds`
+function measure(node, matrix, bounds, context) {
+  const name = localName(node.name);
+  const { attributes } = node;
+  if (SHAPE_ELEMENTS.has(name)) {
+    const segments = shapeSegments(node);
+    if (segments) {
+      includeBounds(bounds, curveBounds(transformSegments(segments, matrix)));
+    }
+  } else if (name === "image" || name === "svg") {
+    includeBounds(
+      bounds,
+      rectBounds(
+        matrix,
+        readLength(attributes.x),
+        readLength(attributes.y),
+        readLength(attributes.width, NaN),
+        readLength(attributes.height, NaN)
+      )
+    );
+  } else if (name === "use") {
+    const href = attributes.href ?? attributes["xlink:href"] ?? "";
+    const target = context.ids.get(href.replace(/^#/, ""));
+    if (!target || context.measuring.has(target)) return;
+    const placed = multiply(matrix, [
+      1,
+      0,
+      0,
+      1,
+      readLength(attributes.x) || 0,
+      readLength(attributes.y) || 0,
+    ]);
+    context.measuring.add(target);
+    if (localName(target.name) === "symbol") {
+      for (const child of target.children.filter(isRendered)) {
+        measure(child, elementMatrix(child, placed, context), bounds, context);
+      }
+    } else {
+      measure(target, elementMatrix(target, placed, context), bounds, context);
+    }
+    context.measuring.delete(target);
+  } else if (name === "text") {
+    context.report(
+      node,
+      "unmeasured-text",
+      "Text can't be measured, so it isn't counted in the artwork's bounds"
+    );
+  } else if (CONTAINER_ELEMENTS.has(name)) {
+    for (const child of node.children.filter(isRendered)) {
+      measure(child, elementMatrix(child, matrix, context), bounds, context);
+    }
+  }
+}
+
+// Stroke properties that children inherit, updated with `attributes`
+function inheritStroke(inherited, attributes) {
+  return {
+    stroke: attributes.stroke ?? inherited.stroke,
+    "stroke-width": attributes["stroke-width"] ?? inherited["stroke-width"],
+    "stroke-dasharray":
+      attributes["stroke-dasharray"] ?? inherited["stroke-dasharray"],
+    "stroke-dashoffset":
+      attributes["stroke-dashoffset"] ?? inherited["stroke-dashoffset"],
+  };
+}
+
+// Scales the stroke of a baked shape along with its coordinates, since
+// the transform that used to scale it is gone
+function scaleStroke(node, inherited, scale) {
+  const stroke = inheritStroke(inherited, node.attributes);
+  if (scale === 1 || !stroke.stroke || stroke.stroke === "none") return;
+  node.attributes["stroke-width"] = scaleLengths(
+    stroke["stroke-width"] ?? "1",
+    scale
+  );
+  const dashes = stroke["stroke-dasharray"];
+  if (dashes !== undefined && String(dashes).trim() !== "none") {
+    node.attributes["stroke-dasharray"] = scaleLengths(dashes, scale);
+  }
+  if (stroke["stroke-dashoffset"] !== undefined) {
+    node.attributes["stroke-dashoffset"] = scaleLengths(
+      stroke["stroke-dashoffset"],
+      scale
+    );
+  }
+}
+
+// Turns a shape into a <path> with the given path data, in place. The path
+// data takes the place of the first geometry attribute.
+function replaceGeometry(node, segments) {
+  const attributes = {};
+  const d = serializePathData(segments, PRECISION);
+  for (const [name, value] of Object.entries(node.attributes)) {
+    if (name === "transform") continue;
+    if (!GEOMETRY_ATTRIBUTES.has(name)) attributes[name] = value;
+    else if (!("d" in attributes)) attributes.d = d;
+  }
+  if (!("d" in attributes)) attributes.d = d;
+  node.name = node.name.replace(/[^:]+$/, "path");
+  node.attributes = attributes;
+}
+
+function placeElement(node, matrix) {
+  if (isIdentity(matrix)) delete node.attributes.transform;
+  else node.attributes.transform = formatMatrix(matrix, PRECISION);
+}
+
+// An animated element keeps its coordinates and its own transform, which
+// its animations use or replace; a group around it places it instead
+function placeAnimated(parent, node, matrix) {
+  if (isIdentity(matrix)) return;
+  const group = {
+    type: "element",
+    name: node.name.replace(/[^:]+$/, "g"),
+    attributes: { transform: formatMatrix(matrix, PRECISION) },
+    children: [node],
+  };
+  parent.children[parent.children.indexOf(node)] = group;
+}
+
+// Rewrites everything below `node` into the final coordinates: shapes
+// become transformed paths and groups lose their transforms. Elements that
+// can't be rewritten keep their coordinates and get the whole transform
+// instead.
+function bake(node, matrix, inherited, context) {
+  for (const child of node.children.filter(isRendered)) {
+    const name = localName(child.name);
+    const childMatrix = elementMatrix(child, matrix, context);
+    if (hasAnimations(child)) {
+      placeAnimated(node, child, matrix);
+    } else if (keepsCoordinates(child) || PLACED_ELEMENTS.has(name)) {
+      placeElement(child, childMatrix);
+    } else if (CONTAINER_ELEMENTS.has(name)) {
+      delete child.attributes.transform;
+      bake(
+        child,
+        childMatrix,
+        inheritStroke(inherited, child.attributes),
+        context
+      );
+    } else if (SHAPE_ELEMENTS.has(name)) {
+      const segments = shapeSegments(child);
+      if (!segments) {
+        placeElement(child, childMatrix);
+        continue;
+      }
+      replaceGeometry(child, transformSegments(segments, childMatrix));
+      scaleStroke(child, inherited, scaleFactor(childMatrix));
+    }
+  }
+}
+
+function collectIds(node, ids = new Map()) {
+  if (node.type !== "element") return ids;
+  if (node.attributes.id) ids.set(node.attributes.id, node);
+  node.children.forEach((child) => collectIds(child, ids));
+  return ids;
+}
+
+// Fits the artwork of a parsed <svg> into a `size`×`size` viewBox, leaving
+// `padding` units free on every side, and sets the root's width and height
+// to the grid size. Works in place. Returns diagnostics for text, which
+// can't be measured, and for artwork with nothing to measure.
+export function normalizeTree(
+  root,
+  { size = DEFAULT_GRID_SIZE, padding = 0 } = {}
+) {
+  const diagnostics = [];
+  if (!(size > 0 && padding >= 0 && padding * 2 < size)) {
+    diagnostics.push(
+      createDiagnostic(
+        "warning",
+        "invalid-grid",
+        `A ${size}×${size} grid has no room inside ${padding} units of padding, so the artwork isn't fitted`,
+        locationOf(root)
+      )
+    );
+    return diagnostics;
+  }
+  const reported = new Set();
+  const context = {
+    ids: collectIds(root),
+    measuring: new Set(),
+    report(node, code, message) {
+      if (reported.has(code)) return;
+      reported.add(code);
+      diagnostics.push(
+        createDiagnostic("warning", code, message, locationOf(node))
+      );
+    },
+  };
+
+  const bounds = {
+    minX: Infinity,
+    minY: Infinity,
+    maxX: -Infinity,
+    maxY: -Infinity,
+  };
+  for (const child of root.children.filter(isRendered)) {
+    measure(child, elementMatrix(child, IDENTITY, context), bounds, context);
+  }
+  const width = bounds.maxX - bounds.minX;
+  const height = bounds.maxY - bounds.minY;
+  if (!(Math.max(width, height) > 0)) {
+    diagnostics.push(
+      createDiagnostic(
+        "warning",
+        "empty-artwork",
+        "The artwork has no measurable size, so it isn't fitted to the grid",
+        locationOf(root)
+      )
+    );
+    return diagnostics;
+  }
+
+  const available = size - 2 * padding;
+  const scale = available / Math.max(width, height);
+  const fit = [
+    scale,
+    0,
+    0,
+    scale,
+    padding + (available - width * scale) / 2 - bounds.minX * scale,
+    padding + (available - height * scale) / 2 - bounds.minY * scale,
+  ];
+  bake(root, fit, inheritStroke({}, root.attributes), context);
+
+  root.attributes.viewBox = `0 0 ${size} ${size}`;
+  root.attributes.width = String(size);
+  root.attributes.height = String(size);
+  return diagnostics;
+}
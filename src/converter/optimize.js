@@ -0,0 +1,358 @@
+// Optional size optimization of the parsed source tree, run before
+// conversion: rounds numbers, rewrites path data compactly, removes editor
+// metadata and invisible elements, collapses useless groups and merges
+// adjacent paths that share their attributes.
+import { isElement, localName } from "./parseSvg.js";
+import { isExpression } from "./serializeJsx.js";
+import {
+  parsePathData,
+  pathBounds,
+  serializePathData,
+  toAbsolute,
+} from "./pathData.js";
+import { TEXT_ELEMENTS } from "./text.js";
+import { hasAnimations } from "./animation.js";
+
+export const DEFAULT_PRECISION = 3;
+
+// Namespace prefixes of Inkscape, Sketch, Affinity and Illustrator data
+const EDITOR_PREFIXES = new Set([
+  "sodipodi",
+  "inkscape",
+  "sketch",
+  "serif",
+  "i",
+  "graph",
+]);
+const EDITOR_ATTRIBUTES = new Set(["data-name"]);
+const METADATA_ELEMENTS = new Set(["metadata"]);
+
+// Children of these never render directly, so "invisible" doesn't apply
+export const NON_RENDERED_ELEMENTS = new Set([
+  "defs",
+  "clipPath",
+  "mask",
+  "pattern",
+  "symbol",
+  "marker",
+  "linearGradient",
+  "radialGradient",
+]);
+
+const NUMERIC_ATTRIBUTES = new Set([
+  "x",
+  "y",
+  "x1",
+  "y1",
+  "x2",
+  "y2",
+  "cx",
+  "cy",
+  "r",
+  "rx",
+  "ry",
+  "width",
+  "height",
+  "stroke-width",
+]);
+
+// Group attributes that can move onto a group's only child. Opacity, clip
+// paths, masks and filters apply to the group as a whole, so they can't.
+const MOVABLE_GROUP_ATTRIBUTES = new Set([
+  "transform",
+  "fill",
+  "fill-opacity",
+  "fill-rule",
+  "stroke",
+  "stroke-width",
+  "stroke-opacity",
+  "stroke-linecap",
+  "stroke-linejoin",
+  "stroke-miterlimit",
+  "stroke-dasharray",
+  "stroke-dashoffset",
+  "color",
+]);
+
+const NUMBER_WITH_UNIT = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(px)?$/i;
+const NUMBER_IN_LIST = /[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/gi;
+
+function text(value) {
+  return isExpression(value) ? value.code : value;
+}
+
+function isBlankText(node) {
+  return node.type === "text" && !node.value.trim();
+}
+
+export function countElements(node) {
+  if (!isElement(node)) return 0;
+  return node.children.reduce((sum, child) => sum + countElements(child), 1);
+}
+
+function isEditorName(name) {
+  const colon = name.indexOf(":");
+  return colon !== -1 && EDITOR_PREFIXES.has(name.slice(0, colon));
+}
+
+function removeEditorData(node) {
+  for (const name of Object.keys(node.attributes)) {
+    if (isEditorName(name) || EDITOR_ATTRIBUTES.has(name)) {
+      delete node.attributes[name];
+    }
+  }
+  node.children = node.children.filter(
+    (child) =>
+      !isElement(child) ||
+      !(isEditorName(child.name) || METADATA_ELEMENTS.has(child.name))
+  );
+  node.children.filter(isElement).forEach(removeEditorData);
+}
+
+function collectReferencedIds(node, ids = new Set()) {
+  if (!isElement(node)) return ids;
+  for (const [name, value] of Object.entries(node.attributes)) {
+    if (typeof value !== "string") continue;
+    if (/(^|:)href$/.test(name) && value.startsWith("#"))
+      ids.add(value.slice(1));
+    for (const match of value.matchAll(/url\(\s*['"]?#([^)'"\s]+)/g)) {
+      ids.add(match[1]);
+    }
+  }
+  node.children.forEach((child) => collectReferencedIds(child, ids));
+  return ids;
+}
+
+function isZero(value) {
+  return value !== undefined && parseFloat(text(value)) === 0;
+}
+
+function isInvisible(node) {
+  const { attributes } = node;
+  const name = localName(node.name);
+  // An animation may show it later
+  if (hasAnimations(node)) return false;
+  if (text(attributes.display) === "none" || isZero(attributes.opacity)) {
+    return true;
+  }
+  // Children can turn visibility, fill and stroke back on
+  if (!node.children.some(isElement)) {
+    if (text(attributes.visibility) === "hidden") return true;
+    if (attributes.fill === "none" && attributes.stroke === "none") {
+      return true;
+    }
+  }
+  switch (name) {
+    case "rect":
+      return isZero(attributes.width) || isZero(attributes.height);
+    case "circle":
+      return isZero(attributes.r);
+    case "ellipse":
+      return isZero(attributes.rx) || isZero(attributes.ry);
+    case "path":
+      return !attributes.d || !String(attributes.d).trim();
+    case "polygon":
+    case "polyline":
+      return !attributes.points || !String(attributes.points).trim();
+    default:
+      return false;
+  }
+}
+
+function removeInvisible(node, referencedIds) {
+  if (NON_RENDERED_ELEMENTS.has(localName(node.name))) return;
+  node.children = node.children.filter(
+    (child) =>
+      !isElement(child) ||
+      referencedIds.has(child.attributes.id) ||
+      !isInvisible(child)
+  );
+  node.children
+    .filter(isElement)
+    .forEach((child) => removeInvisible(child, referencedIds));
+}
+
+function roundNumbers(node, precision, isRoot) {
+  const round = (number) => String(Number(Number(number).toFixed(precision)));
+  const { attributes } = node;
+  if (!isRoot) {
+    for (const name of NUMERIC_ATTRIBUTES) {
+      const match =
+        typeof attributes[name] === "string" &&
+        NUMBER_WITH_UNIT.exec(attributes[name].trim());
+      if (match) attributes[name] = round(match[1]);
+    }
+  }
+  if (typeof attributes.points === "string") {
+    attributes.points = attributes.points
+      .trim()
+      .replace(NUMBER_IN_LIST, round)
+      .replace(/\s*,\s*/g, ",")
+      .replace(/\s+/g, " ");
+  }
+  if (localName(node.name) === "path" && typeof attributes.d === "string") {
+    try {
+      attributes.d = serializePathData(
+        toAbsolute(parsePathData(attributes.d)),
+        precision
+      );
+    } catch {
+      // Leave malformed path data for react-native-svg to report
+    }
+  }
+  node.children
+    .filter(isElement)
+    .forEach((child) => roundNumbers(child, precision, false));
+}
+
+function canMoveGroupAttributes(group) {
+  return Object.keys(group.attributes).every((name) =>
+    MOVABLE_GROUP_ATTRIBUTES.has(name)
+  );
+}
+
+// Unwraps groups without attributes, pushes the attributes of single-child
+// groups down onto the child and drops empty groups.
+function collapseGroups(node) {
+  node.children.filter(isElement).forEach(collapseGroups);
+  if (NON_RENDERED_ELEMENTS.has(localName(node.name))) return;
+
+  const children = [];
+  for (const child of node.children) {
+    if (!isElement(child) || localName(child.name) !== "g") {
+      children.push(child);
+      continue;
+    }
+    const elements = child.children.filter(isElement);
+    const onlyElements = child.children.every(
+      (grandchild) => isElement(grandchild) || isBlankText(grandchild)
+    );
+    if (elements.length === 0 && onlyElements) continue;
+
+    // SMIL animations animate their parent, so animated groups stay, and
+    // so do the attributes of a group around an animated element
+    if (hasAnimations(child)) {
+      children.push(child);
+    } else if (Object.keys(child.attributes).length === 0) {
+      children.push(...child.children);
+    } else if (
+      elements.length === 1 &&
+      onlyElements &&
+      canMoveGroupAttributes(child) &&
+      !hasAnimations(elements[0])
+    ) {
+      const [only] = elements;
+      for (const [name, value] of Object.entries(child.attributes)) {
+        if (name === "transform") {
+          only.attributes.transform = only.attributes.transform
+            ? `${value} ${only.attributes.transform}`
+            : value;
+        } else if (!(name in only.attributes)) {
+          only.attributes[name] = value;
+        }
+      }
+      children.push(only);
+    } else {
+      children.push(child);
+    }
+  }
+  node.children = children;
+}
+
+function attributeKey(node) {
+  const { d: _d, ...rest } = node.attributes;
+  return JSON.stringify(
+    Object.entries(rest).sort(([a], [b]) => (a < b ? -1 : 1))
+  );
+}
+
+function canMerge(node) {
+  const { attributes } = node;
+  return (
+    localName(node.name) === "path" &&
+    attributes.id === undefined &&
+    !node.children.some(isElement) &&
+    !Object.keys(attributes).some((name) => name.startsWith("marker"))
+  );
+}
+
+function boundsOverlap(a, b) {
+  return (
+    a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY
+  );
+}
+
+function paddedBounds(segments, node) {
+  const bounds = pathBounds(segments);
+  if (!bounds) return null;
+  const padding = (parseFloat(text(node.attributes["stroke-width"])) || 1) / 2;
+  return {
+    minX: bounds.minX - padding,
+    minY: bounds.minY - padding,
+    maxX: bounds.maxX + padding,
+    maxY: bounds.maxY + padding,
+  };
+}
+
+// Merges runs of sibling paths with identical attributes into one path.
+// Paths are only merged when their bounds don't overlap, since overlapping
+// subpaths can change the fill (nonzero winding) or double up opacity.
+function mergePaths(node, precision) {
+  if (TEXT_ELEMENTS.has(localName(node.name))) return;
+  node.children
+    .filter(isElement)
+    .forEach((child) => mergePaths(child, precision));
+
+  const children = [];
+  let run = null;
+  const flush = () => {
+    if (run && run.merged) {
+      run.node.attributes.d = serializePathData(run.segments, precision);
+    }
+    run = null;
+  };
+
+  for (const child of node.children) {
+    if (isBlankText(child)) continue;
+    let segments = null;
+    if (isElement(child) && canMerge(child)) {
+      try {
+        segments = toAbsolute(parsePathData(String(child.attributes.d)));
+      } catch {
+        segments = null;
+      }
+    }
+    const bounds = segments && paddedBounds(segments, child);
+    if (!bounds) {
+      flush();
+      children.push(child);
+      continue;
+    }
+
+    const key = attributeKey(child);
+    if (
+      run &&
+      run.key === key &&
+      run.bounds.every((other) => !boundsOverlap(other, bounds))
+    ) {
+      run.segments.push(...segments);
+      run.bounds.push(bounds);
+      run.merged = true;
+      continue;
+    }
+    flush();
+    run = { node: child, key, segments, bounds: [bounds], merged: false };
+    children.push(child);
+  }
+  flush();
+  node.children = children;
+}
+
+// Optimizes the tree in place. `precision` is the number of decimals kept.
+export function optimizeTree(root, { precision = DEFAULT_PRECISION } = {}) {
+  removeEditorData(root);
+  removeInvisible(root, collectReferencedIds(root));
+  roundNumbers(root, precision, true);
+  collapseGroups(root);
+  mergePaths(root, precision);
+}
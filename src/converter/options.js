@@ -0,0 +1,325 @@
+// Schema of the svgToReactNative options: each option's type, default and
+// description. The converter validates its options against it, and the
+// app builds its settings panel from it.
+import { OUTPUT_TARGETS } from "./targets.js";
+import { ID_PREFIX } from "./scopeIds.js";
+import { REST_PROPS } from "./componentTemplate.js";
+import { createDiagnostic, hasErrors } from "./diagnostics.js";
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Words that can't name a variable or a prop in a module
+const RESERVED_WORDS = new Set([
+  "arguments",
+  "await",
+  "break",
+  "case",
+  "catch",
+  "class",
+  "const",
+  "continue",
+  "debugger",
+  "default",
+  "delete",
+  "do",
+  "else",
+  "enum",
+  "eval",
+  "export",
+  "extends",
+  "false",
+  "finally",
+  "for",
+  "function",
+  "if",
+  "implements",
+  "import",
+  "in",
+  "instanceof",
+  "interface",
+  "let",
+  "new",
+  "null",
+  "package",
+  "private",
+  "protected",
+  "public",
+  "return",
+  "static",
+  "super",
+  "switch",
+  "this",
+  "throw",
+  "true",
+  "try",
+  "typeof",
+  "var",
+  "void",
+  "while",
+  "with",
+  "yield",
+]);
+
+// Whether `value` can name a prop or the component
+export function isIdentifier(value) {
+  return (
+    typeof value === "string" &&
+    IDENTIFIER.test(value) &&
+    !RESERVED_WORDS.has(value)
+  );
+}
+
+// Types an option can have. Each checks a value and returns why it's
+// invalid, or null.
+const TYPES = {
+  boolean: (value) => (typeof value === "boolean" ? null : "a boolean"),
+  number: (value, { min = -Infinity, max = Infinity, integer = false }) =>
+    typeof value === "number" &&
+    Number.isFinite(value) &&
+    value >= min &&
+    value <= max &&
+    (!integer || Number.isInteger(value))
+      ? null
+      : [
+          integer ? "an integer" : "a number",
+          min > -Infinity && `≥ ${min}`,
+          max < Infinity && `≤ ${max}`,
+        ]
+          .filter(Boolean)
+          .join(" "),
+  identifier: (value) =>
+    isIdentifier(value) ? null : "a JavaScript identifier",
+  enum: (value, { values }) =>
+    values.includes(value)
+      ? null
+      : `one of ${values.map((option) => JSON.stringify(option)).join(", ")}`,
+  // Attribute names as written in the SVG, e.g. ["class", "data-name"]
+  names: (value) =>
+    Array.isArray(value) &&
+    value.every((name) => typeof name === "string" && name.trim())
+      ? null
+      : "a list of attribute names",
+  // String keys mapping to a string, or to null where `nullable` is set;
+  // `disableable` also allows false
+  map: (value, { nullable = false, disableable = false }) =>
+    (disableable && value === false) ||
+    (typeof value === "object" &&
+      value !== null &&
+      !Array.isArray(value) &&
+      Object.values(value).every(
+        (entry) => typeof entry === "string" || (nullable && entry === null)
+      ))
+      ? null
+      : nullable
+        ? "an object of strings or null"
+        : "an object of strings",
+  // Nested options, each optional; `disableable` also allows false
+  object: (value, { properties, disableable = false }) => {
+    if (disableable && value === false) return null;
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      return disableable ? "false or an object" : "an object";
+    }
+    for (const [name, entry] of Object.entries(value)) {
+      if (!Object.hasOwn(properties, name)) {
+        return `an object without "${name}"`;
+      }
+      const reason = checkValue(properties[name], entry);
+      if (reason) return `an object whose "${name}" is ${reason}`;
+    }
+    return null;
+  },
+  function: (value) => (typeof value === "function" ? null : "a function"),
+};
+
+function checkValue(schema, value) {
+  if (value === undefined) return null;
+  return TYPES[schema.type](value, schema);
+}
+
+// Options shaping the generated component, in the order the settings panel
+// lists them
+export const COMPONENT_OPTIONS_SCHEMA = {
+  propNames: {
+    type: "object",
+    label: "Prop names",
+    description: "Names of the size and base color props",
+    properties: {
+      width: { type: "identifier", default: "width", label: "Width" },
+      height: { type: "identifier", default: "height", label: "Height" },
+      fill: { type: "identifier", default: "fillColor", label: "Fill" },
+      stroke: { type: "identifier", default: "strokeColor", label: "Stroke" },
+    },
+  },
+  sizeProps: {
+    type: "boolean",
+    default: true,
+    label: "Size props",
+    description:
+      "Replace the root width and height with props; off keeps them on the <Svg>",
+  },
+  defaultSize: {
+    type: "number",
+    default: 100,
+    min: 0,
+    label: "Default size",
+    description: "Width and height of an SVG that has neither",
+  },
+  sizeType: {
+    type: "enum",
+    values: ["number", "string"],
+    default: "number",
+    label: "Size values",
+    description: 'Default width and height as numbers (24) or strings ("24")',
+  },
+  keepRootFill: {
+    type: "boolean",
+    default: false,
+    label: "Keep root fill",
+    description:
+      "Keep the root fill and stroke as they are instead of turning them into color props",
+  },
+  addViewBox: {
+    type: "boolean",
+    default: true,
+    label: "Add viewBox",
+    description: "Give an SVG without a viewBox one from its width and height",
+  },
+  keepAttributes: {
+    type: "names",
+    default: [],
+    label: "Keep attributes",
+    description: 'Attributes kept although the conversion drops them ("class")',
+  },
+  dropAttributes: {
+    type: "names",
+    default: [],
+    label: "Drop attributes",
+    description: 'Attributes dropped everywhere ("data-name")',
+  },
+  animate: {
+    type: "boolean",
+    default: false,
+    label: "SMIL animations",
+    description:
+      "Convert <animate> and <animateTransform> to react-native-reanimated (native components)",
+  },
+};
+
+export const OPTIONS_SCHEMA = {
+  output: {
+    type: "enum",
+    values: ["component", "snippet"],
+    default: "component",
+  },
+  target: { type: "enum", values: OUTPUT_TARGETS, default: "native" },
+  componentName: { type: "identifier", default: "SvgIcon" },
+  part: { type: "number", min: 0, integer: true },
+  language: { type: "enum", values: ["js", "ts"], default: "js" },
+  indent: { type: "number", min: 1, max: 8, integer: true, default: 2 },
+  colorProps: {
+    type: "map",
+    nullable: true,
+    default: {},
+    disableable: true,
+  },
+  fontMap: { type: "map", default: {} },
+  normalize: {
+    type: "object",
+    disableable: true,
+    default: false,
+    properties: {
+      size: { type: "number", min: 0 },
+      padding: { type: "number", min: 0 },
+    },
+  },
+  optimize: {
+    type: "object",
+    disableable: true,
+    default: false,
+    properties: { precision: { type: "number", min: 0, integer: true } },
+  },
+  ...COMPONENT_OPTIONS_SCHEMA,
+  onStats: { type: "function" },
+};
+
+function defaultsOf(schema) {
+  const defaults = {};
+  for (const [name, entry] of Object.entries(schema)) {
+    if (entry.type === "object" && !entry.disableable) {
+      defaults[name] = defaultsOf(entry.properties);
+    } else if ("default" in entry) {
+      defaults[name] = entry.default;
+    }
+  }
+  return defaults;
+}
+
+// Names the generated component already uses
+export const RESERVED_PROP_NAMES = [
+  "accessible",
+  "accessibilityLabel",
+  "testID",
+  ID_PREFIX,
+  REST_PROPS,
+];
+
+export const DEFAULT_COMPONENT_OPTIONS = defaultsOf(COMPONENT_OPTIONS_SCHEMA);
+
+// Checks options against OPTIONS_SCHEMA. Returns a diagnostic for each
+// invalid option, and a warning for each unknown one (a misspelled option
+// would otherwise be ignored). Undefined counts as not set.
+export function validateOptions(options) {
+  const diagnostics = [];
+  const report = (severity, code, message) =>
+    diagnostics.push(createDiagnostic(severity, code, message));
+  for (const [name, value] of Object.entries(options)) {
+    if (!Object.hasOwn(OPTIONS_SCHEMA, name)) {
+      report(
+        "warning",
+        "unknown-option",
+        `Unknown option "${name}" is ignored`
+      );
+      continue;
+    }
+    const reason = checkValue(OPTIONS_SCHEMA[name], value);
+    if (reason) {
+      report("error", "invalid-option", `Option "${name}" must be ${reason}`);
+    }
+  }
+  if (hasErrors(diagnostics)) return diagnostics;
+  const propNames = Object.values(resolveComponentOptions(options).propNames);
+  const duplicate = propNames.find(
+    (propName, index) => propNames.indexOf(propName) !== index
+  );
+  const reserved = propNames.find((propName) =>
+    RESERVED_PROP_NAMES.includes(propName)
+  );
+  if (duplicate) {
+    report(
+      "error",
+      "invalid-option",
+      `Option "propNames" gives two props the name "${duplicate}"`
+    );
+  } else if (reserved) {
+    report(
+      "error",
+      "invalid-option",
+      `Option "propNames" can't use "${reserved}", which the component already has`
+    );
+  }
+  return diagnostics;
+}
+
+// The component options with the defaults filled in, nested prop names
+// included
+export function resolveComponentOptions(options) {
+  const resolved = { ...DEFAULT_COMPONENT_OPTIONS };
+  for (const name of Object.keys(COMPONENT_OPTIONS_SCHEMA)) {
+    if (options[name] !== undefined) resolved[name] = options[name];
+  }
+  resolved.propNames = {
+    ...DEFAULT_COMPONENT_OPTIONS.propNames,
+    ...options.propNames,
+  };
+  return resolved;
+}
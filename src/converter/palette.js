@@ -0,0 +1,280 @@
+// Detects the distinct colors an SVG uses and assigns each one a color prop,
+// so multi-tone icons keep their palette but stay themeable.
+import { localName, parseSvg } from "./parseSvg.js";
+import { expression } from "./serializeJsx.js";
+import { isCurrentColor, normalizeColor } from "./colors.js";
+import {
+  DEFAULT_COMPONENT_OPTIONS,
+  RESERVED_PROP_NAMES,
+  isIdentifier,
+} from "./options.js";
+
+export const COLOR_ATTRIBUTES = ["fill", "stroke"];
+
+// Source elements that draw with a fill
+const SHAPE_ELEMENTS = new Set([
+  "path",
+  "circle",
+  "ellipse",
+  "polygon",
+  "polyline",
+  "rect",
+  "text",
+]);
+
+// Source elements whose colors become props
+export const THEMED_ELEMENTS = new Set([
+  "g",
+  "path",
+  "circle",
+  "ellipse",
+  "line",
+  "polygon",
+  "polyline",
+  "rect",
+  "text",
+  "tspan",
+]);
+
+// Names of the size props and of the base color props, which currentColor
+// (and the root's own colors) resolve to: propNames.fill and
+// propNames.stroke. See the propNames option.
+const DEFAULT_PROP_NAMES = DEFAULT_COMPONENT_OPTIONS.propNames;
+
+const ORDINAL_PROP_NAMES = ["primaryColor", "secondaryColor", "tertiaryColor"];
+const ORDINAL_STROKE_PROP_NAMES = [
+  "secondaryStrokeColor",
+  "tertiaryStrokeColor",
+];
+
+// Returns [{ color, count, attributes }] for every distinct color used by a
+// themed element below the root, most used first. `color` is normalized.
+export function collectPalette(root) {
+  const entries = new Map();
+  const visit = (node) => {
+    if (node.type !== "element") return;
+    if (node !== root && THEMED_ELEMENTS.has(localName(node.name))) {
+      for (const attribute of COLOR_ATTRIBUTES) {
+        const color = normalizeColor(node.attributes[attribute]);
+        if (!color) continue;
+        const entry = entries.get(color) || {
+          color,
+          count: 0,
+          attributes: [],
+        };
+        entry.count++;
+        if (!entry.attributes.includes(attribute)) {
+          entry.attributes.push(attribute);
+        }
+        entries.set(color, entry);
+      }
+    }
+    node.children.forEach(visit);
+  };
+  visit(root);
+  // Array.prototype.sort is stable, so ties keep document order
+  return [...entries.values()].sort((a, b) => b.count - a.count);
+}
+
+// Base color props claimed by currentColor anywhere in the tree (root
+// included). Palette colors don't take those names by default.
+export function collectCurrentColorProps(root, propNames = DEFAULT_PROP_NAMES) {
+  const props = new Set();
+  const visit = (node) => {
+    if (node.type !== "element") return;
+    if (node === root || THEMED_ELEMENTS.has(localName(node.name))) {
+      for (const attribute of COLOR_ATTRIBUTES) {
+        if (isCurrentColor(node.attributes[attribute])) {
+          props.add(propNames[attribute]);
+        }
+      }
+    }
+    node.children.forEach(visit);
+  };
+  visit(root);
+  return props;
+}
+
+// Shapes draw with the fill they inherit from the root unless they or a
+// group around them set one. Clip paths only use their shapes' outlines.
+function inheritsRootFill(node, filled = false) {
+  return node.children.some((child) => {
+    if (child.type !== "element") return false;
+    const name = localName(child.name);
+    if (name === "clipPath") return false;
+    const childFilled = filled || child.attributes.fill !== undefined;
+    if (!childFilled && (name === "use" || SHAPE_ELEMENTS.has(name))) {
+      return true;
+    }
+    return inheritsRootFill(child, childFilled);
+  });
+}
+
+// Colors the base color props get from the root <svg>: its own fill and
+// stroke colors, or black for a missing fill that shapes inherit
+export function collectRootColors(root) {
+  const colors = {};
+  for (const attribute of COLOR_ATTRIBUTES) {
+    const color = normalizeColor(root.attributes[attribute]);
+    if (color) colors[attribute] = color;
+  }
+  if (root.attributes.fill === undefined && inheritsRootFill(root)) {
+    colors.fill = normalizeColor("black");
+  }
+  return colors;
+}
+
+// Palette of raw SVG markup and the prop names its colors get by default.
+// Markup that doesn't parse has an empty palette. `names` is the propNames
+// option of the conversion.
+export function detectPalette(svg, names = {}) {
+  const propNames = { ...DEFAULT_PROP_NAMES, ...names };
+  try {
+    const root = svg ? parseSvg(svg) : null;
+    if (root) {
+      const palette = collectPalette(root);
+      const defaultColorProps = resolveColorProps(
+        palette,
+        {},
+        collectCurrentColorProps(root, propNames),
+        propNames,
+        collectRootColors(root)
+      );
+      return { palette, defaultColorProps };
+    }
+  } catch {
+    // Conversion reports the parse error
+  }
+  return { palette: [], defaultColorProps: {} };
+}
+
+// Colors used as a fill are named fillColor / primaryColor / ..., colors
+// only ever used as a stroke get strokeColor / secondaryStrokeColor / ...
+// (with the base color props named after propNames). A base prop is only
+// shared with the root when the root has the same color (see
+// collectRootColors).
+function defaultPropNames(palette, reservedProps, propNames, rootColors) {
+  const isBaseColor = (attribute, color) =>
+    !reservedProps.has(propNames[attribute]) &&
+    (rootColors[attribute] ?? color) === color;
+  const fills = palette.filter(({ attributes }) => attributes.includes("fill"));
+  const strokes = palette.filter(
+    ({ attributes }) => !attributes.includes("fill")
+  );
+  const baseStroke = strokes.find(({ color }) => isBaseColor("stroke", color));
+  const strokeNames = ORDINAL_STROKE_PROP_NAMES.filter(
+    (name) => !reservedProps.has(name)
+  );
+  const names = {};
+  fills.forEach(({ color }, index) => {
+    // A single fill color keeps the familiar fillColor prop
+    names[color] =
+      fills.length === 1 && isBaseColor("fill", color)
+        ? propNames.fill
+        : ORDINAL_PROP_NAMES[index] || `color${index + 1}`;
+  });
+  if (baseStroke) names[baseStroke.color] = propNames.stroke;
+  strokes
+    .filter((entry) => entry !== baseStroke)
+    .forEach(({ color }, index) => {
+      names[color] = strokeNames[index] || `strokeColor${index + 1}`;
+    });
+  return names;
+}
+
+// Color props can't take a reserved word or a name the component already
+// uses: the size and base color props (see validateOptions), the
+// accessibility props and idPrefix
+export function isValidPropName(name, propNames = DEFAULT_PROP_NAMES) {
+  return (
+    isIdentifier(name) &&
+    !Object.values(propNames).includes(name) &&
+    !RESERVED_PROP_NAMES.includes(name)
+  );
+}
+
+// Maps each palette color to its prop name. `overrides` maps a color to a
+// custom prop name, or to null to leave that color hard-coded, and false
+// leaves every color hard-coded. Giving several colors the same name merges
+// them into one prop. `reservedProps`
+// are the base props already taken by currentColor, `rootColors` the
+// colors the root gives them (see collectRootColors).
+export function resolveColorProps(
+  palette,
+  overrides = {},
+  reservedProps = new Set(),
+  propNames = DEFAULT_PROP_NAMES,
+  rootColors = {}
+) {
+  const defaults = defaultPropNames(
+    palette,
+    reservedProps,
+    propNames,
+    rootColors
+  );
+  const colorProps = {};
+  for (const { color } of palette) {
+    const override = overrides === false ? null : overrides[color];
+    if (override === null) {
+      colorProps[color] = null;
+    } else {
+      colorProps[color] = isValidPropName(override, propNames)
+        ? override
+        : defaults[color];
+    }
+  }
+  return colorProps;
+}
+
+// Records that `propName` is used. The first concrete color seen becomes
+// its default value; currentColor contributes no default.
+function recordColorProp(usedColorProps, propName, color) {
+  if (!usedColorProps.get(propName)) usedColorProps.set(propName, color);
+}
+
+// Replaces fill/stroke values of a converted element with color prop
+// expressions. currentColor resolves to the base color props.
+export function applyColorProps(
+  attributes,
+  colorProps,
+  usedColorProps,
+  propNames = DEFAULT_PROP_NAMES
+) {
+  for (const attribute of COLOR_ATTRIBUTES) {
+    const value = attributes[attribute];
+    if (value === undefined) continue;
+    let propName;
+    let color = null;
+    if (isCurrentColor(value)) {
+      propName = propNames[attribute];
+    } else {
+      color = normalizeColor(value);
+      propName = color && colorProps[color];
+    }
+    if (!propName) continue;
+    attributes[attribute] = expression(propName);
+    recordColorProp(usedColorProps, propName, color);
+  }
+}
+
+// The root <Svg> fill always becomes fillColor (it's what unfilled shapes
+// inherit) unless it is "none" or a paint server; a root stroke becomes
+// strokeColor, which outline icons rely on.
+export function applyRootColorProps(
+  attributes,
+  source,
+  usedColorProps,
+  propNames = DEFAULT_PROP_NAMES
+) {
+  for (const attribute of COLOR_ATTRIBUTES) {
+    const value = source[attribute];
+    const color = normalizeColor(value);
+    const themeable =
+      color ||
+      isCurrentColor(value) ||
+      (attribute === "fill" && value === undefined);
+    if (!themeable) continue;
+    attributes[attribute] = expression(propNames[attribute]);
+    recordColorProp(usedColorProps, propNames[attribute], color);
+  }
+}
@@ -0,0 +1,197 @@
+// Parses SVG markup into a plain element tree that the rest of the converter
+// works on:
+//   { type: "element", name, attributes: { [name]: value }, children: [],
+//     location: { line, column, attributes: { [name]: { line, column } } } }
+//   { type: "text", value }
+// Locations are 1-based positions in the source, used for diagnostics. A
+// small XML parser is used rather than DOMParser, which can't report
+// positions, so the output is the same in the browser and under Node.
+import { createLocator } from "./diagnostics.js";
+
+const XML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+// Throws on malformed markup, with the line and column of the problem set
+// on the error.
+export function parseSvg(source) {
+  return findSvgRoot(parseXml(source));
+}
+
+// Every outermost <svg> of the markup, in document order. Most files have
+// one; exports of several artboards can have more. Throws like parseSvg.
+export function parseSvgRoots(source) {
+  return findSvgRoots(parseXml(source));
+}
+
+function findSvgRoots(node, roots = []) {
+  if (node.type === "element" && localName(node.name) === "svg") {
+    roots.push(node);
+    return roots;
+  }
+  for (const child of node.children || []) findSvgRoots(child, roots);
+  return roots;
+}
+
+// Depth-first search for the first <svg>, so markup wrapped in another
+// element (e.g. copied out of an HTML page) still converts.
+function findSvgRoot(node) {
+  if (node.type === "element" && localName(node.name) === "svg") return node;
+  for (const child of node.children || []) {
+    const found = findSvgRoot(child);
+    if (found) return found;
+  }
+  return null;
+}
+
+export function isElement(node) {
+  return node.type === "element";
+}
+
+export function localName(name) {
+  const colon = name.indexOf(":");
+  return colon === -1 ? name : name.slice(colon + 1);
+}
+
+function parseXml(source) {
+  const entities = { ...XML_ENTITIES };
+  const root = { type: "document", children: [] };
+  const stack = [root];
+  const locate = createLocator(source);
+  let index = 0;
+
+  const fail = (message) => {
+    throw Object.assign(new Error(message), locate(index));
+  };
+
+  const decode = (text) =>
+    text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z_][\w.-]*);/gi, (match, ref) => {
+      if (ref[0] === "#") {
+        const code =
+          ref[1] === "x" || ref[1] === "X"
+            ? parseInt(ref.slice(2), 16)
+            : parseInt(ref.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return ref in entities ? entities[ref] : match;
+    });
+
+  const appendText = (value) => {
+    if (value) stack[stack.length - 1].children.push({ type: "text", value });
+  };
+
+  while (index < source.length) {
+    const open = source.indexOf("<", index);
+    if (open === -1) {
+      appendText(decode(source.slice(index)));
+      break;
+    }
+    appendText(decode(source.slice(index, open)));
+    index = open;
+
+    if (source.startsWith("<!--", index)) {
+      const end = source.indexOf("-->", index + 4);
+      if (end === -1) fail("Unterminated comment");
+      index = end + 3;
+    } else if (source.startsWith("<![CDATA[", index)) {
+      const end = source.indexOf("]]>", index + 9);
+      if (end === -1) fail("Unterminated CDATA section");
+      appendText(source.slice(index + 9, end));
+      index = end + 3;
+    } else if (source.startsWith("<?", index)) {
+      const end = source.indexOf("?>", index + 2);
+      if (end === -1) fail("Unterminated processing instruction");
+      index = end + 2;
+    } else if (/^<!doctype/i.test(source.slice(index, index + 9))) {
+      // HTML pages write <!doctype html>
+      index = skipDoctype(source, index, entities, fail);
+    } else if (source.startsWith("<!", index)) {
+      // Other declarations (<!ELEMENT ...>) don't draw anything
+      const end = source.indexOf(">", index);
+      if (end === -1) fail("Unterminated declaration");
+      index = end + 1;
+    } else if (source[index + 1] === "/") {
+      const end = source.indexOf(">", index);
+      if (end === -1) fail("Unterminated closing tag");
+      const name = source.slice(index + 2, end).trim();
+      const current = stack.pop();
+      if (current === root || current.name !== name) {
+        fail(`Unexpected closing tag </${name}>`);
+      }
+      index = end + 1;
+    } else {
+      index = parseStartTag(source, index, stack, decode, fail, locate);
+    }
+  }
+
+  if (stack.length > 1) {
+    const unclosed = stack[stack.length - 1];
+    const { line, column } = unclosed.location;
+    throw Object.assign(new Error(`Unclosed tag <${unclosed.name}>`), {
+      line,
+      column,
+    });
+  }
+  return root;
+}
+
+function skipDoctype(source, index, entities, fail) {
+  let depth = 0;
+  for (let i = index + 9; i < source.length; i++) {
+    const char = source[i];
+    if (char === "[") depth++;
+    else if (char === "]") depth--;
+    else if (char === ">" && depth === 0) {
+      // Illustrator declares namespace entities (&ns_svg; etc.) in the
+      // internal subset, so pick those up before skipping the DOCTYPE.
+      const subset = source.slice(index, i);
+      const entityPattern = /<!ENTITY\s+([^\s%]+)\s+(["'])([\s\S]*?)\2\s*>/g;
+      let match;
+      while ((match = entityPattern.exec(subset))) {
+        entities[match[1]] = match[3];
+      }
+      return i + 1;
+    }
+  }
+  fail("Unterminated DOCTYPE");
+}
+
+function parseStartTag(source, index, stack, decode, fail, locate) {
+  const nameMatch = /^<([A-Za-z_][\w.:-]*)/.exec(
+    source.slice(index, index + 256)
+  );
+  if (!nameMatch) fail("Invalid tag");
+  const element = {
+    type: "element",
+    name: nameMatch[1],
+    attributes: {},
+    children: [],
+    location: { ...locate(index), attributes: {} },
+  };
+  let i = index + nameMatch[0].length;
+
+  const attributePattern =
+    /\s*([A-Za-z_][\w.:-]*)\s*=\s*("([^"]*)"|'([^']*)')/y;
+  for (;;) {
+    attributePattern.lastIndex = i;
+    const match = attributePattern.exec(source);
+    if (!match) break;
+    const nameIndex = i + match[0].length - match[0].trimStart().length;
+    element.location.attributes[match[1]] = locate(nameIndex);
+    element.attributes[match[1]] = decode(
+      match[3] !== undefined ? match[3] : match[4]
+    );
+    i = attributePattern.lastIndex;
+  }
+
+  while (/\s/.test(source[i])) i++;
+  stack[stack.length - 1].children.push(element);
+  if (source.startsWith("/>", i)) return i + 2;
+  if (source[i] !== ">") fail(`Malformed tag <${element.name}>`);
+  stack.push(element);
+  return i + 1;
+}
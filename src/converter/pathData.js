@@ -0,0 +1,501 @@
+// Path data ("d" attribute) helpers: parsing, absolute coordinates, compact
+// serialization and bounds.
+
+const PARAMETER_COUNTS = {
+  M: 2,
+  L: 2,
+  H: 1,
+  V: 1,
+  C: 6,
+  S: 4,
+  Q: 4,
+  T: 2,
+  A: 7,
+  Z: 0,
+};
+
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i;
+
+// Parses path data into [{ command, values }] with one segment per command,
+// so implicit repeats ("L1 2 3 4") become separate segments. Throws on
+// malformed data.
+export function parsePathData(d) {
+  const segments = [];
+  let index = 0;
+  let command = null;
+
+  const skipSeparators = () => {
+    while (index < d.length && /[\s,]/.test(d[index])) index++;
+  };
+  const readNumber = () => {
+    skipSeparators();
+    const match = NUMBER.exec(d.slice(index, index + 64));
+    if (!match) {
+      throw new Error(`Invalid path data near "${d.slice(index, index + 10)}"`);
+    }
+    index += match[0].length;
+    return Number(match[0]);
+  };
+  // Arc flags may be written without separators: "a1 1 0 011 1"
+  const readFlag = () => {
+    skipSeparators();
+    const flag = d[index];
+    if (flag !== "0" && flag !== "1") {
+      throw new Error("Invalid arc flag in path data");
+    }
+    index++;
+    return Number(flag);
+  };
+
+  skipSeparators();
+  while (index < d.length) {
+    if (/[a-z]/i.test(d[index])) {
+      command = d[index++];
+      if (!(command.toUpperCase() in PARAMETER_COUNTS)) {
+        throw new Error(`Unknown path command "${command}"`);
+      }
+    } else if (!command) {
+      throw new Error("Path data must start with a command");
+    } else if (command === "M") {
+      command = "L"; // Extra coordinate pairs after a moveto are linetos
+    } else if (command === "m") {
+      command = "l";
+    }
+
+    const upper = command.toUpperCase();
+    const values = [];
+    for (let i = 0; i < PARAMETER_COUNTS[upper]; i++) {
+      values.push(
+        upper === "A" && (i === 3 || i === 4) ? readFlag() : readNumber()
+      );
+    }
+    segments.push({ command, values });
+    skipSeparators();
+    if (upper === "Z" && index < d.length && !/[a-z]/i.test(d[index])) {
+      throw new Error("Unexpected number after closepath");
+    }
+  }
+  return segments;
+}
+
+// Converts segments to absolute commands. H and V stay H and V.
+export function toAbsolute(segments) {
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  return segments.map(({ command, values }) => {
+    const upper = command.toUpperCase();
+    const relative = command !== upper;
+    let absolute;
+    if (upper === "Z") {
+      absolute = [];
+      x = startX;
+      y = startY;
+    } else if (upper === "H") {
+      absolute = [relative ? x + values[0] : values[0]];
+      x = absolute[0];
+    } else if (upper === "V") {
+      absolute = [relative ? y + values[0] : values[0]];
+      y = absolute[0];
+    } else if (upper === "A") {
+      absolute = values.slice();
+      if (relative) {
+        absolute[5] += x;
+        absolute[6] += y;
+      }
+      x = absolute[5];
+      y = absolute[6];
+    } else {
+      absolute = values.map((value, i) =>
+        relative ? value + (i % 2 === 0 ? x : y) : value
+      );
+      x = absolute[absolute.length - 2];
+      y = absolute[absolute.length - 1];
+    }
+    if (upper === "M") {
+      startX = x;
+      startY = y;
+    }
+    return { command: upper, values: absolute };
+  });
+}
+
+function roundTo(value, precision) {
+  const factor = 10 ** precision;
+  const rounded = Math.round(value * factor) / factor;
+  return Object.is(rounded, -0) ? 0 : rounded;
+}
+
+// Shortest decimal form: 0.5 -> ".5", -0.5 -> "-.5"
+export function formatNumber(value, precision = 3) {
+  return String(roundTo(value, precision)).replace(/^(-?)0\./, "$1.");
+}
+
+// Joins numbers with the fewest separators: a minus sign or a second
+// decimal point starts a new number on its own.
+function joinNumbers(numbers) {
+  let result = "";
+  numbers.forEach((number, i) => {
+    const previous = numbers[i - 1];
+    const needsSeparator =
+      i > 0 &&
+      !number.startsWith("-") &&
+      !(number.startsWith(".") && previous.includes("."));
+    result += (needsSeparator ? " " : "") + number;
+  });
+  return result;
+}
+
+// Serializes absolute segments as compactly as possible: coordinates are
+// rounded to `precision`, each segment uses whichever of its absolute and
+// relative forms is shorter, lines along an axis become H/V and repeated
+// command letters are dropped. Relative values are computed from rounded
+// absolute positions so rounding errors don't accumulate.
+export function serializePathData(absoluteSegments, precision = 3) {
+  const round = (value) => roundTo(value, precision);
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let output = "";
+  let lastCommand = null;
+  let lastNumber = null;
+
+  for (const segment of absoluteSegments) {
+    let command = segment.command;
+    let values = segment.values.map(round);
+    if (command === "A") {
+      // Flags and radii aren't coordinates
+      values = segment.values.map((value, i) =>
+        i === 3 || i === 4 ? value : round(value)
+      );
+    }
+    if (command === "L" && values[0] === x && values[1] !== y) {
+      command = "V";
+      values = [values[1]];
+    } else if (command === "L" && values[1] === y) {
+      command = "H";
+      values = [values[0]];
+    }
+
+    let relativeValues;
+    if (command === "Z") relativeValues = [];
+    else if (command === "H") relativeValues = [round(values[0] - x)];
+    else if (command === "V") relativeValues = [round(values[0] - y)];
+    else if (command === "A") {
+      relativeValues = values.slice();
+      relativeValues[5] = round(values[5] - x);
+      relativeValues[6] = round(values[6] - y);
+    } else {
+      relativeValues = values.map((value, i) =>
+        round(value - (i % 2 === 0 ? x : y))
+      );
+    }
+
+    const format = (list) =>
+      list.map((value) => formatNumber(value, precision));
+    const absoluteNumbers = format(values);
+    const relativeNumbers = format(relativeValues);
+    const useRelative =
+      joinNumbers(relativeNumbers).length < joinNumbers(absoluteNumbers).length;
+    const letter = useRelative ? command.toLowerCase() : command;
+    const numbers = useRelative ? relativeNumbers : absoluteNumbers;
+
+    // A repeated letter is implied, as is a lineto right after a moveto
+    const implied =
+      command !== "Z" &&
+      ((letter === lastCommand && command !== "M") ||
+        (letter === "L" && lastCommand === "M") ||
+        (letter === "l" && lastCommand === "m"));
+    output += implied
+      ? joinNumbers([lastNumber, ...numbers]).slice(lastNumber.length)
+      : letter + joinNumbers(numbers);
+    lastNumber = numbers[numbers.length - 1];
+    lastCommand = letter;
+
+    if (command === "Z") {
+      x = startX;
+      y = startY;
+    } else if (command === "H") {
+      x = values[0];
+    } else if (command === "V") {
+      y = values[0];
+    } else {
+      x = values[values.length - 2];
+      y = values[values.length - 1];
+    }
+    if (command === "M") {
+      startX = x;
+      startY = y;
+    }
+  }
+  return output;
+}
+
+// Conservative bounding box { minX, minY, maxX, maxY } of absolute
+// segments: curve control points are included and arcs are padded by
+// their diameter, so the real geometry always lies inside.
+export function pathBounds(absoluteSegments) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  const include = (px, py, padding = 0) => {
+    minX = Math.min(minX, px - padding);
+    minY = Math.min(minY, py - padding);
+    maxX = Math.max(maxX, px + padding);
+    maxY = Math.max(maxY, py + padding);
+  };
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  for (const { command, values } of absoluteSegments) {
+    if (command === "Z") {
+      x = startX;
+      y = startY;
+      continue;
+    }
+    if (command === "H") x = values[0];
+    else if (command === "V") y = values[0];
+    else if (command === "A") {
+      const diameter = 2 * Math.max(Math.abs(values[0]), Math.abs(values[1]));
+      include(x, y, diameter);
+      x = values[5];
+      y = values[6];
+      include(x, y, diameter);
+    } else {
+      for (let i = 0; i < values.length; i += 2) {
+        include(values[i], values[i + 1]);
+      }
+      x = values[values.length - 2];
+      y = values[values.length - 1];
+    }
+    include(x, y);
+    if (command === "M") {
+      startX = x;
+      startY = y;
+    }
+  }
+  return minX === Infinity ? null : { minX, minY, maxX, maxY };
+}
+
+// Cubic control points of the quadratic from (x0, y0) through (qx, qy)
+function quadraticToCubic(x0, y0, qx, qy, x, y) {
+  return [
+    x0 + ((qx - x0) * 2) / 3,
+    y0 + ((qy - y0) * 2) / 3,
+    x + ((qx - x) * 2) / 3,
+    y + ((qy - y) * 2) / 3,
+    x,
+    y,
+  ];
+}
+
+// Cubic segments approximating an arc from (x0, y0), one per quarter turn
+// at most. Follows the endpoint to center conversion of the SVG spec,
+// including its scaling of radii too small to reach the endpoint.
+function arcToCubics(x0, y0, values) {
+  const [, , angle, largeArc, sweep, x, y] = values;
+  let rx = Math.abs(values[0]);
+  let ry = Math.abs(values[1]);
+  if (x0 === x && y0 === y) return [];
+  if (rx === 0 || ry === 0) return [{ command: "L", values: [x, y] }];
+
+  const phi = (angle * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x0 - x) / 2;
+  const dy = (y0 - y) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  const coefficient =
+    (largeArc === sweep ? -1 : 1) *
+    Math.sqrt(Math.max(0, numerator / denominator));
+  const cx1 = (coefficient * rx * y1) / ry;
+  const cy1 = (-coefficient * ry * x1) / rx;
+  const cx = cos * cx1 - sin * cy1 + (x0 + x) / 2;
+  const cy = sin * cx1 + cos * cy1 + (y0 + y) / 2;
+
+  const vectorAngle = (ux, uy, vx, vy) =>
+    Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const startAngle = vectorAngle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+  let sweepAngle = vectorAngle(
+    (x1 - cx1) / rx,
+    (y1 - cy1) / ry,
+    (-x1 - cx1) / rx,
+    (-y1 - cy1) / ry
+  );
+  if (!sweep && sweepAngle > 0) sweepAngle -= 2 * Math.PI;
+  if (sweep && sweepAngle < 0) sweepAngle += 2 * Math.PI;
+
+  const count = Math.max(1, Math.ceil(Math.abs(sweepAngle) / (Math.PI / 2)));
+  const step = sweepAngle / count;
+  const handle = (4 / 3) * Math.tan(step / 4);
+  const point = (t) => [
+    cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+    cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos,
+  ];
+  const tangent = (t) => [
+    -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+    -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos,
+  ];
+  const segments = [];
+  for (let i = 0; i < count; i++) {
+    const t0 = startAngle + i * step;
+    const t1 = t0 + step;
+    const [px0, py0] = point(t0);
+    const [tx0, ty0] = tangent(t0);
+    const [px1, py1] = i === count - 1 ? [x, y] : point(t1);
+    const [tx1, ty1] = tangent(t1);
+    segments.push({
+      command: "C",
+      values: [
+        px0 + handle * tx0,
+        py0 + handle * ty0,
+        px1 - handle * tx1,
+        py1 - handle * ty1,
+        px1,
+        py1,
+      ],
+    });
+  }
+  return segments;
+}
+
+// Rewrites absolute segments with only M, L, C and Z, which affine
+// transforms map exactly: H and V become L, quadratic and smooth curves
+// become the same cubics and arcs are approximated by cubics.
+export function toCubicSegments(absoluteSegments) {
+  const result = [];
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let control = null; // { command, x, y }: last control point, for S and T
+  for (const { command, values } of absoluteSegments) {
+    let nextControl = null;
+    if (command === "M" || command === "L") {
+      result.push({ command, values });
+    } else if (command === "H" || command === "V") {
+      const point = command === "H" ? [values[0], y] : [x, values[0]];
+      result.push({ command: "L", values: point });
+    } else if (command === "C" || command === "S") {
+      const [x1, y1] =
+        command === "C"
+          ? values
+          : control?.command === "C"
+            ? [2 * x - control.x, 2 * y - control.y]
+            : [x, y];
+      const rest = command === "C" ? values.slice(2) : values;
+      result.push({ command: "C", values: [x1, y1, ...rest] });
+      nextControl = { command: "C", x: rest[0], y: rest[1] };
+    } else if (command === "Q" || command === "T") {
+      const [qx, qy] =
+        command === "Q"
+          ? values
+          : control?.command === "Q"
+            ? [2 * x - control.x, 2 * y - control.y]
+            : [x, y];
+      const [endX, endY] = values.slice(-2);
+      result.push({
+        command: "C",
+        values: quadraticToCubic(x, y, qx, qy, endX, endY),
+      });
+      nextControl = { command: "Q", x: qx, y: qy };
+    } else if (command === "A") {
+      result.push(...arcToCubics(x, y, values));
+    } else {
+      result.push({ command: "Z", values: [] });
+    }
+
+    const last = result[result.length - 1];
+    if (command === "Z") {
+      x = startX;
+      y = startY;
+    } else if (last && last.values.length > 0) {
+      [x, y] = last.values.slice(-2);
+    }
+    if (command === "M") {
+      startX = x;
+      startY = y;
+    }
+    control = nextControl;
+  }
+  return result;
+}
+
+// Parameters in (0, 1) where a cubic Bézier coordinate has an extremum
+function cubicExtrema(p0, p1, p2, p3) {
+  const a = -p0 + 3 * p1 - 3 * p2 + p3;
+  const b = 2 * (p0 - 2 * p1 + p2);
+  const c = p1 - p0;
+  let roots;
+  if (Math.abs(a) < 1e-12) {
+    roots = Math.abs(b) < 1e-12 ? [] : [-c / b];
+  } else {
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return [];
+    const root = Math.sqrt(discriminant);
+    roots = [(-b + root) / (2 * a), (-b - root) / (2 * a)];
+  }
+  return roots.filter((t) => t > 0 && t < 1);
+}
+
+function cubicAt(p0, p1, p2, p3, t) {
+  const mt = 1 - t;
+  return (
+    mt * mt * mt * p0 +
+    3 * mt * mt * t * p1 +
+    3 * mt * t * t * p2 +
+    t * t * t * p3
+  );
+}
+
+// Exact bounding box { minX, minY, maxX, maxY } of M, L, C and Z segments
+// (see toCubicSegments), or null when there are none
+export function curveBounds(cubicSegments) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  const include = (px, py) => {
+    minX = Math.min(minX, px);
+    minY = Math.min(minY, py);
+    maxX = Math.max(maxX, px);
+    maxY = Math.max(maxY, py);
+  };
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  for (const { command, values } of cubicSegments) {
+    if (command === "Z") {
+      x = startX;
+      y = startY;
+      continue;
+    }
+    if (command === "C") {
+      const xs = [x, values[0], values[2], values[4]];
+      const ys = [y, values[1], values[3], values[5]];
+      for (const t of [...cubicExtrema(...xs), ...cubicExtrema(...ys)]) {
+        include(cubicAt(...xs, t), cubicAt(...ys, t));
+      }
+    }
+    [x, y] = values.slice(-2);
+    include(x, y);
+    if (command === "M") {
+      startX = x;
+      startY = y;
+    }
+  }
+  return minX === Infinity ? null : { minX, minY, maxX, maxY };
+}
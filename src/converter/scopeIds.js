@@ -0,0 +1,75 @@
+// Makes referenced IDs unique per component instance. Two converted icons
+// that both define <LinearGradient id="a"> would otherwise resolve each
+// other's url(#a) references when rendered on the same screen.
+import { expression, isExpression } from "./serializeJsx.js";
+
+// Name of the per-instance prefix, assigned from React's useId()
+export const ID_PREFIX = "idPrefix";
+
+const URL_REFERENCE = /url\(\s*['"]?#([^)'"\s]+)['"]?\s*\)/g;
+const HREF_ATTRIBUTES = new Set(["href"]);
+
+// Escapes text for the body of a template literal
+export function escapeTemplate(text) {
+  return text.replace(/[`\\]/g, "\\$&").replace(/\$\{/g, "\\${");
+}
+
+function scopedId(id) {
+  return `\${${ID_PREFIX}}-${escapeTemplate(id)}`;
+}
+
+function forEachElement(node, callback) {
+  if (node.type !== "element") return;
+  callback(node);
+  node.children.forEach((child) => forEachElement(child, callback));
+}
+
+function referencedIds(tree) {
+  const ids = new Set();
+  forEachElement(tree, (node) => {
+    for (const [name, value] of Object.entries(node.attributes)) {
+      if (isExpression(value)) continue;
+      if (HREF_ATTRIBUTES.has(name) && value.startsWith("#")) {
+        ids.add(value.slice(1));
+      }
+      for (const match of value.matchAll(URL_REFERENCE)) ids.add(match[1]);
+    }
+  });
+  return ids;
+}
+
+// Rewrites every referenced id and its url(#id) / href="#id" references to
+// template literals built on ID_PREFIX. Returns true if anything changed,
+// i.e. the component needs to declare the prefix.
+export function scopeIds(tree) {
+  const referenced = referencedIds(tree);
+  const defined = new Set();
+  forEachElement(tree, (node) => {
+    const { id } = node.attributes;
+    if (typeof id === "string" && referenced.has(id)) defined.add(id);
+  });
+  if (defined.size === 0) return false;
+
+  forEachElement(tree, (node) => {
+    for (const [name, value] of Object.entries(node.attributes)) {
+      if (isExpression(value)) continue;
+      if (name === "id" && defined.has(value)) {
+        node.attributes.id = expression(`\`${scopedId(value)}\``);
+      } else if (HREF_ATTRIBUTES.has(name) && defined.has(value.slice(1))) {
+        node.attributes[name] = expression(`\`#${scopedId(value.slice(1))}\``);
+      } else if (value.includes("url(")) {
+        let changed = false;
+        const rewritten = escapeTemplate(value).replace(
+          URL_REFERENCE,
+          (match, id) => {
+            if (!defined.has(id)) return match;
+            changed = true;
+            return `url(#${scopedId(id)})`;
+          }
+        );
+        if (changed) node.attributes[name] = expression(`\`${rewritten}\``);
+      }
+    }
+  });
+  return true;
+}
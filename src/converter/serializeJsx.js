@@ -0,0 +1,78 @@
+// Serializes a converted element tree to JSX source. Attribute values are
+// either plain strings or expression() markers for `{code}` props. An
+// element's `component`, when set, is the tag written in place of its name
+// (e.g. an Animated wrapper), and its `spread`, when set, the name of an
+// object spread onto it after its attributes ({...props}).
+
+export function expression(code) {
+  return { type: "expression", code };
+}
+
+export function isExpression(value) {
+  return (
+    typeof value === "object" && value !== null && value.type === "expression"
+  );
+}
+
+function serializeAttribute(name, value) {
+  if (isExpression(value)) return `${name}={${value.code}}`;
+  // JSX string attributes can't escape quotes and decode entities, so fall
+  // back to a string literal expression for anything unusual.
+  if (/["&\n]/.test(value)) return `${name}={${JSON.stringify(value)}}`;
+  return `${name}="${value}"`;
+}
+
+// Like attributes, text with an & could read as an entity
+function serializeText(value) {
+  if (/[{}<>&]/.test(value) || value !== value.trim()) {
+    return `{${JSON.stringify(value)}}`;
+  }
+  return value;
+}
+
+function tagName(node) {
+  return node.component ?? node.name;
+}
+
+function openingTag(node) {
+  const attributes = Object.entries(node.attributes).map(([name, value]) =>
+    serializeAttribute(name, value)
+  );
+  if (node.spread) attributes.push(`{...${node.spread}}`);
+  return [`<${tagName(node)}`, ...attributes].join(" ");
+}
+
+// react-native-svg and React DOM names of the elements holding text. Their
+// whitespace was normalized by the converter, so a lone space between two
+// spans is kept.
+const TEXT_CONTENT_ELEMENTS = new Set([
+  "Text",
+  "TSpan",
+  "TextPath",
+  "text",
+  "tspan",
+  "textPath",
+]);
+
+// `indent` is the prefix for `node` itself, `step` is added per nesting level.
+export function serializeJsx(node, indent = "", step = "  ") {
+  if (node.type === "text") return `${indent}${serializeText(node.value)}`;
+
+  const keepsSpaces = TEXT_CONTENT_ELEMENTS.has(node.name);
+  const children = node.children.filter(
+    (child) =>
+      child.type === "element" ||
+      (keepsSpaces ? child.value !== "" : child.value.trim())
+  );
+  if (children.length === 0) return `${indent}${openingTag(node)} />`;
+
+  if (children.every((child) => child.type === "text")) {
+    const text = children.map((child) => serializeText(child.value)).join("");
+    return `${indent}${openingTag(node)}>${text}</${tagName(node)}>`;
+  }
+
+  const inner = children
+    .map((child) => serializeJsx(child, indent + step, step))
+    .join("\n");
+  return `${indent}${openingTag(node)}>\n${inner}\n${indent}</${tagName(node)}>`;
+}
@@ -0,0 +1,185 @@
+// Sprite sheets and multi-root files: a sheet of <symbol>s, or a file with
+// several top-level <svg>s, holds one icon per symbol or root. Each becomes
+// a standalone <svg> root ("part") that convertSvg converts like a file of
+// its own.
+import { isElement, localName, parseSvg, parseSvgRoots } from "./parseSvg.js";
+import { uniqueComponentNames } from "./iconSet.js";
+import { escapeXml } from "./svgMarkup.js";
+
+// What a sprite sheet holds besides its symbols. A root with anything else
+// draws something itself, so it's an ordinary SVG.
+const SPRITE_ELEMENTS = new Set([
+  "symbol",
+  "defs",
+  "style",
+  "title",
+  "desc",
+  "metadata",
+]);
+
+// Symbol attributes that only place the symbol where it's used
+const PLACEMENT_ATTRIBUTES = new Set(["id", "x", "y", "refX", "refY"]);
+
+const URL_REFERENCE = /url\(\s*['"]?#([^)'"\s]+)/g;
+
+// Symbols with an id, outside other symbols
+function collectSymbols(node, symbols = []) {
+  for (const child of node.children.filter(isElement)) {
+    if (localName(child.name) === "symbol") {
+      if (child.attributes.id) symbols.push(child);
+    } else {
+      collectSymbols(child, symbols);
+    }
+  }
+  return symbols;
+}
+
+function isSprite(root) {
+  const onlyDefinitions = root.children
+    .filter(isElement)
+    .every(
+      (child) =>
+        SPRITE_ELEMENTS.has(localName(child.name)) || child.name.includes(":")
+    );
+  return onlyDefinitions && collectSymbols(root).length > 0;
+}
+
+function collectIds(node, ids = new Map()) {
+  if (node.attributes.id && !ids.has(node.attributes.id)) {
+    ids.set(node.attributes.id, node);
+  }
+  node.children.filter(isElement).forEach((child) => collectIds(child, ids));
+  return ids;
+}
+
+// Ids an element and its descendants refer to with href="#id" or url(#id)
+function collectReferences(node, references = new Set()) {
+  for (const [name, value] of Object.entries(node.attributes)) {
+    if (localName(name) === "href" && value.startsWith("#")) {
+      references.add(value.slice(1));
+    }
+    for (const match of value.matchAll(URL_REFERENCE)) {
+      references.add(match[1]);
+    }
+  }
+  node.children
+    .filter(isElement)
+    .forEach((child) => collectReferences(child, references));
+  return references;
+}
+
+// <style> elements outside the symbols, which may style any of them
+function collectStyles(node, styles = []) {
+  for (const child of node.children.filter(isElement)) {
+    const name = localName(child.name);
+    if (name === "style") styles.push(child);
+    else if (name !== "symbol") collectStyles(child, styles);
+  }
+  return styles;
+}
+
+// The <svg> root of one symbol: the symbol's viewBox and content, the
+// sheet's style sheets, and a <defs> with what its <use>s, gradients and
+// clip paths refer to elsewhere in the sheet
+function symbolRoot(sheet, symbol, ids) {
+  const attributes = {};
+  for (const [name, value] of Object.entries(sheet.attributes)) {
+    if (name === "xmlns" || name.startsWith("xmlns:")) attributes[name] = value;
+  }
+  for (const [name, value] of Object.entries(symbol.attributes)) {
+    if (!PLACEMENT_ATTRIBUTES.has(name)) attributes[name] = value;
+  }
+
+  const own = collectIds(symbol);
+  const definitions = [];
+  const pending = [...collectReferences(symbol)];
+  const seen = new Set();
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (seen.has(id) || own.has(id) || !ids.has(id)) continue;
+    seen.add(id);
+    const definition = ids.get(id);
+    definitions.push(definition);
+    pending.push(...collectReferences(definition));
+  }
+  const defs = {
+    type: "element",
+    name: sheet.name.replace(/[^:]+$/, "defs"),
+    attributes: {},
+    children: definitions,
+  };
+  return {
+    type: "element",
+    name: sheet.name,
+    attributes,
+    children: [
+      ...collectStyles(sheet),
+      ...(definitions.length > 0 ? [defs] : []),
+      ...symbol.children,
+    ],
+    location: symbol.location,
+  };
+}
+
+// The parts of a sprite sheet or multi-root file as [{ id, root }], id
+// being null for a root without one, or null for an ordinary SVG. Throws
+// like parseSvg.
+export function splitSvg(source) {
+  const roots = parseSvgRoots(source);
+  if (roots.length > 1) {
+    return roots.map((root) => ({ id: root.attributes.id ?? null, root }));
+  }
+  if (roots.length === 0 || !isSprite(roots[0])) return null;
+  const [sheet] = roots;
+  const ids = collectIds(sheet);
+  return collectSymbols(sheet).map((symbol) => ({
+    id: symbol.attributes.id,
+    root: symbolRoot(sheet, symbol, ids),
+  }));
+}
+
+// The root of part `part`, or null when there's no such part. An ordinary
+// SVG is its own part 0.
+export function parseSvgPart(source, part) {
+  const parts = splitSvg(source);
+  if (!parts) return part === 0 ? parseSvg(source) : null;
+  return parts[part]?.root ?? null;
+}
+
+function serializeNode(node) {
+  if (node.type === "text") return escapeXml(node.value);
+  const attributes = Object.entries(node.attributes)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join("");
+  const children = node.children.map(serializeNode).join("");
+  return children
+    ? `<${node.name}${attributes}>${children}</${node.name}>`
+    : `<${node.name}${attributes}/>`;
+}
+
+// [{ id, componentName, svg }] for the parts of a sprite sheet or
+// multi-root file, svg being the part as a standalone SVG, or null for an
+// ordinary SVG. Parts are named after their id; roots without one after
+// `baseName`, numbered. Throws like parseSvg.
+export function listSvgParts(source, baseName = "SvgIcon") {
+  const parts = splitSvg(source);
+  if (!parts) return null;
+  const names = uniqueComponentNames(
+    parts.map(({ id }, index) => id ?? `${baseName}${index + 1}`)
+  );
+  return parts.map(({ id, root }, index) => ({
+    id,
+    componentName: names[index],
+    svg: serializeNode(root),
+  }));
+}
+
+// listSvgParts for markup that may not parse, which has no parts; its
+// conversion reports why
+export function findSvgParts(source, baseName) {
+  try {
+    return listSvgParts(source, baseName);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,71 @@
+// Renders a converted react-native-svg element tree back to SVG markup, so
+// a browser can show what the generated component will draw.
+import { NATIVE_ACCESSIBILITY_PROPS } from "./accessibility.js";
+import { evaluateExpression } from "./evaluateExpression.js";
+import { toSvgAttributeName, toSvgElementName } from "./mappings.js";
+import { isExpression } from "./serializeJsx.js";
+import { TEXT_ELEMENTS } from "./text.js";
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// With `indent` set, each element goes on its own line. Elements holding
+// text, and text elements, stay on one line, since whitespace inside them
+// would be drawn.
+function renderNode(node, scope, indent, depth) {
+  if (node.type === "text") return escapeXml(node.value);
+
+  const name = toSvgElementName(node.name);
+  const attributes = [];
+  for (const [propName, rawValue] of Object.entries(node.attributes)) {
+    // Animated props only exist while the component runs
+    if (
+      NATIVE_ACCESSIBILITY_PROPS.has(propName) ||
+      propName === "animatedProps"
+    ) {
+      continue;
+    }
+    const value = isExpression(rawValue)
+      ? evaluateExpression(rawValue.code, scope)
+      : rawValue;
+    // Like React, nullish and false props aren't rendered
+    if (value === undefined || value === null || value === false) continue;
+    attributes.push(`${toSvgAttributeName(propName)}="${escapeXml(value)}"`);
+  }
+  const openingTag = [name, ...attributes].join(" ");
+  if (node.children.length === 0) return `<${openingTag}/>`;
+  const hasText =
+    TEXT_ELEMENTS.has(name) ||
+    node.children.some((child) => child.type === "text" && child.value.trim());
+  if (!indent || hasText) {
+    const children = node.children
+      .map((child) => renderNode(child, scope, null, 0))
+      .join("");
+    return `<${openingTag}>${children}</${name}>`;
+  }
+  // Whitespace between elements is replaced by the indentation
+  const elements = node.children.filter((child) => child.type === "element");
+  if (elements.length === 0) return `<${openingTag}/>`;
+  const childIndent = indent.repeat(depth + 1);
+  const children = elements
+    .map((child) => childIndent + renderNode(child, scope, indent, depth + 1))
+    .join("\n");
+  return `<${openingTag}>\n${children}\n${indent.repeat(depth)}</${name}>`;
+}
+
+// `scope` maps the names used by expression() props to their values, e.g.
+// { width: 24, height: 24, fillColor: "#000000", idPrefix: "preview" }.
+// options.indent: indentation string, e.g. "  ", to put every element on
+// its own line; the markup is compact by default.
+export function renderSvgMarkup(tree, scope = {}, options = {}) {
+  const markup = renderNode(tree, scope, options.indent, 0);
+  if ("xmlns" in tree.attributes) return markup;
+  return markup.replace(/^<svg/, `<svg xmlns="${SVG_NAMESPACE}"`);
+}
@@ -0,0 +1,67 @@
+// The output targets besides react-native-svg element JSX. Each starts
+// from the converted react-native-svg tree:
+//   "dom": React DOM <svg> JSX for the web
+//   "xml": a react-native-svg <SvgXml> with the markup in a template
+//          literal that interpolates the props
+//   "uri": a standalone .svg asset for <SvgUri>, with the prop defaults
+//          filled in
+import { NATIVE_ACCESSIBILITY_PROPS, titleElements } from "./accessibility.js";
+import { toDomPropName, toSvgElementName } from "./mappings.js";
+import { expression } from "./serializeJsx.js";
+import { ID_PREFIX, escapeTemplate } from "./scopeIds.js";
+import { renderSvgMarkup } from "./svgMarkup.js";
+
+export const OUTPUT_TARGETS = ["native", "dom", "xml", "uri"];
+
+// Marks where a prop is interpolated while the markup is rendered
+const PLACEHOLDER = "\u0001";
+
+export function toDomTree(node) {
+  if (node.type !== "element") return node;
+  const attributes = {};
+  for (const [name, value] of Object.entries(node.attributes)) {
+    attributes[toDomPropName(name)] = value;
+  }
+  return {
+    type: "element",
+    name: toSvgElementName(node.name),
+    attributes,
+    children: node.children.map(toDomTree),
+  };
+}
+
+// <SvgXml xml={`<svg width="${width}" ...>`} />
+export function toSvgXmlElement(tree, props) {
+  const scope = {};
+  for (const name of [ID_PREFIX, ...props.map((prop) => prop.name)]) {
+    scope[name] = `${PLACEHOLDER}${name}${PLACEHOLDER}`;
+  }
+  const markup = renderSvgMarkup(tree, scope, { indent: "  " });
+  const template = escapeTemplate(markup).replace(
+    new RegExp(`${PLACEHOLDER}([\\w$]+)${PLACEHOLDER}`, "g"),
+    (_, name) => `\${${name}}`
+  );
+  // The accessibility props go on <SvgXml>, since they aren't markup
+  const attributes = { xml: expression(`\`${template}\``) };
+  for (const [name, value] of Object.entries(tree.attributes)) {
+    if (NATIVE_ACCESSIBILITY_PROPS.has(name)) attributes[name] = value;
+  }
+  return { type: "element", name: "SvgXml", attributes, children: [] };
+}
+
+// The accessibility label and hint go back into <title> and <desc>
+export function renderSvgAsset(tree, props) {
+  const scope = {};
+  for (const { name, defaultValue } of props) scope[name] = defaultValue;
+  const asset = {
+    ...tree,
+    children: [
+      ...titleElements(
+        scope.accessibilityLabel,
+        tree.attributes.accessibilityHint
+      ),
+      ...tree.children,
+    ],
+  };
+  return `${renderSvgMarkup(asset, scope, { indent: "  " })}\n`;
+}
@@ -0,0 +1,153 @@
+// Text conversion: the whitespace of <text> content, font-family stacks and
+// font sizes, which react-native-svg resolves differently from a browser.
+import { parseSvg } from "./parseSvg.js";
+import { applyStyles } from "./applyStyles.js";
+import { formatNumber } from "./pathData.js";
+
+// Whitespace inside text content is significant
+export const TEXT_ELEMENTS = new Set(["text", "tspan", "textPath"]);
+
+// Elements rendered inside a <text>. A link becomes a <TSpan>, since
+// react-native-svg can't nest a group in text.
+export const TEXT_CHILD_ELEMENTS = new Set(["tspan", "textPath", "a"]);
+
+// CSS absolute-size keywords, in px
+const FONT_SIZE_KEYWORDS = {
+  "xx-small": 9,
+  "x-small": 10,
+  small: 13,
+  medium: 16,
+  large: 18,
+  "x-large": 24,
+  "xx-large": 32,
+  "xxx-large": 48,
+};
+
+// px per absolute length unit
+const UNIT_SIZES = {
+  px: 1,
+  pt: 4 / 3,
+  pc: 16,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6,
+};
+
+const LENGTH = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z]*)$/;
+
+// Size in px, as a number, for a font-size value (a string or a number),
+// or null for relative sizes (1.2em, 80%, smaller) that depend on the
+// parent's font
+export function toFontSize(value) {
+  const size = String(value).trim().toLowerCase();
+  if (Object.hasOwn(FONT_SIZE_KEYWORDS, size)) return FONT_SIZE_KEYWORDS[size];
+  const match = LENGTH.exec(size);
+  if (!match) return null;
+  const [, number, unit] = match;
+  if (unit && !Object.hasOwn(UNIT_SIZES, unit)) return null;
+  return Number(
+    formatNumber(Number(number) * (unit ? UNIT_SIZES[unit] : 1), 2)
+  );
+}
+
+// `'Helvetica Neue', Arial, sans-serif` -> ["Helvetica Neue", "Arial",
+// "sans-serif"]
+export function parseFontFamilies(stack) {
+  return (stack.match(/"[^"]*"|'[^']*'|[^,]+/g) ?? [])
+    .map((family) =>
+      family
+        .trim()
+        .replace(/^(["'])(.*)\1$/, "$2")
+        .trim()
+    )
+    .filter(Boolean);
+}
+
+// Returns a function resolving a font-family stack to { family, mapped }:
+// the React Native font of the first family `fontMap` has an entry for,
+// matched case-insensitively, or the first family unchanged.
+export function createFontResolver(fontMap = {}) {
+  const fonts = new Map(
+    Object.entries(fontMap)
+      .filter(([, font]) => typeof font === "string" && font.trim())
+      .map(([family, font]) => [family.trim().toLowerCase(), font.trim()])
+  );
+  return (stack) => {
+    const families = parseFontFamilies(stack);
+    for (const family of families) {
+      const font = fonts.get(family.toLowerCase());
+      if (font) return { family: font, mapped: true };
+    }
+    return { family: families[0] ?? stack.trim(), mapped: false };
+  };
+}
+
+// Every font family a parsed tree names, in document order. Run after
+// applyStyles, so inline styles and stylesheets count.
+export function collectFonts(root) {
+  const families = new Set();
+  const visit = (node) => {
+    if (node.type !== "element") return;
+    const stack = node.attributes["font-family"];
+    if (stack)
+      parseFontFamilies(stack).forEach((family) => families.add(family));
+    node.children.forEach(visit);
+  };
+  visit(root);
+  return [...families];
+}
+
+// Every font family named in the markup, in document order, for editing
+// the font map. Inline styles and stylesheets count.
+export function detectFonts(svg) {
+  try {
+    const root = svg ? parseSvg(svg) : null;
+    if (root) {
+      applyStyles(root);
+      return collectFonts(root);
+    }
+  } catch {
+    // Conversion reports the parse error
+  }
+  return [];
+}
+
+// Collapses the whitespace of a converted text element the way a browser
+// does, so JSX whitespace rules can't change it: newlines and tabs become
+// spaces, runs of spaces (across tspans too) become one and the ends are
+// trimmed. Text under xml:space="preserve" only has its newlines and tabs
+// replaced. Works in place.
+export function normalizeTextWhitespace(element) {
+  let endsWithSpace = true;
+  let last = null; // { parent, text } of the last collapsible text
+  const visit = (parent, preserve) => {
+    const { xmlSpace } = parent.attributes;
+    if (typeof xmlSpace === "string") preserve = xmlSpace === "preserve";
+    parent.children = parent.children.flatMap((child) => {
+      if (child.type !== "text") {
+        visit(child, preserve);
+        return [child];
+      }
+      let value = child.value.replace(/[\t\n\r]/g, " ");
+      if (!preserve) {
+        value = value.replace(/ {2,}/g, " ");
+        if (endsWithSpace) value = value.replace(/^ /, "");
+      }
+      if (!value) return [];
+      const text = { type: "text", value };
+      endsWithSpace = value.endsWith(" ");
+      last = preserve ? null : { parent, text };
+      return [text];
+    });
+  };
+  visit(element, false);
+  if (last && endsWithSpace) {
+    last.text.value = last.text.value.slice(0, -1);
+    if (!last.text.value) {
+      last.parent.children = last.parent.children.filter(
+        (child) => child !== last.text
+      );
+    }
+  }
+}
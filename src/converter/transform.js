@@ -0,0 +1,113 @@
+// 2D affine transforms as [a, b, c, d, e, f] matrices, in the order of the
+// SVG matrix() function: x' = a·x + c·y + e, y' = b·x + d·y + f.
+import { formatNumber } from "./pathData.js";
+
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// The transform that applies `n` first, then `m`
+export function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+export function applyToPoint(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+export function isIdentity(m) {
+  return m.every((value, i) => value === IDENTITY[i]);
+}
+
+// How much the transform scales lengths, e.g. a stroke width. Exact for
+// uniform scales, the geometric mean of the two axes otherwise.
+export function scaleFactor(m) {
+  return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+}
+
+const NUMBER = /[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/gi;
+const FUNCTION =
+  /\s*(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)\s*,?/y;
+
+function functionMatrix(name, args) {
+  const [first, second] = args;
+  const radians = (first * Math.PI) / 180;
+  if (name === "matrix" && args.length === 6) return args;
+  if (name === "translate" && args.length <= 2) {
+    return [1, 0, 0, 1, first, second ?? 0];
+  }
+  if (name === "scale" && args.length <= 2) {
+    return [first, 0, 0, second ?? first, 0, 0];
+  }
+  if (name === "rotate" && (args.length === 1 || args.length === 3)) {
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const rotation = [cos, sin, -sin, cos, 0, 0];
+    if (args.length === 1) return rotation;
+    // rotate(a, cx, cy) turns around (cx, cy)
+    const [, cx, cy] = args;
+    return multiply(multiply([1, 0, 0, 1, cx, cy], rotation), [
+      1,
+      0,
+      0,
+      1,
+      -cx,
+      -cy,
+    ]);
+  }
+  if (name === "skewX" && args.length === 1) {
+    return [1, 0, Math.tan(radians), 1, 0, 0];
+  }
+  if (name === "skewY" && args.length === 1) {
+    return [1, Math.tan(radians), 0, 1, 0, 0];
+  }
+  return null;
+}
+
+// Parses a transform attribute ("translate(4 2) rotate(45)") into one
+// matrix. Throws on anything else, which a browser would ignore.
+export function parseTransform(value = "") {
+  let matrix = IDENTITY;
+  FUNCTION.lastIndex = 0;
+  while (FUNCTION.lastIndex < value.length) {
+    if (!value.slice(FUNCTION.lastIndex).trim()) break;
+    const start = FUNCTION.lastIndex;
+    const match = FUNCTION.exec(value);
+    if (!match || match.index !== start) {
+      throw new Error(`Invalid transform "${value}"`);
+    }
+    const args = (match[2].match(NUMBER) ?? []).map(Number);
+    const isNumberList = !match[2].replace(NUMBER, "").replace(/[\s,]/g, "");
+    const next = isNumberList && functionMatrix(match[1], args);
+    if (args.length === 0 || !next) {
+      throw new Error(`Invalid transform "${value}"`);
+    }
+    matrix = multiply(matrix, next);
+  }
+  return matrix;
+}
+
+// matrix(a b c d e f) for a transform attribute. The scale and rotation
+// terms keep more decimals, since they multiply every coordinate.
+export function formatMatrix(m, precision = 3) {
+  const values = m.map((value, i) =>
+    formatNumber(value, i < 4 ? precision + 3 : precision)
+  );
+  return `matrix(${values.join(" ")})`;
+}
+
+// Maps absolute M, L, C and Z segments (see toCubicSegments) through `m`
+export function transformSegments(segments, m) {
+  return segments.map(({ command, values }) => {
+    const mapped = [];
+    for (let i = 0; i < values.length; i += 2) {
+      mapped.push(...applyToPoint(m, values[i], values[i + 1]));
+    }
+    return { command, values: mapped };
+  });
+}
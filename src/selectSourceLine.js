@@ -0,0 +1,39 @@
+// Viewport top of the character at `offset` in the highlighted <pre> that
+// the code editor draws under its textarea. The <pre> wraps long lines
+// the same way, so this is where the textarea shows that character.
+function textOffsetTop(pre, offset) {
+  const walker = document.createTreeWalker(pre, NodeFilter.SHOW_TEXT);
+  let remaining = offset;
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (remaining < node.nodeValue.length) {
+      const range = document.createRange();
+      range.setStart(node, remaining);
+      range.setEnd(node, remaining + 1);
+      return range.getBoundingClientRect().top;
+    }
+    remaining -= node.nodeValue.length;
+  }
+  return null;
+}
+
+// Selects a line of a code editor's textarea and scrolls it into the upper
+// third of `panel`, the scrolling element around the editor
+export function selectSourceLine(textarea, panel, { line, column }) {
+  const lines = textarea.value.split("\n");
+  const lineStart = lines
+    .slice(0, line - 1)
+    .reduce((sum, text) => sum + text.length + 1, 0);
+  const lineEnd = lineStart + (lines[line - 1] || "").length;
+  textarea.focus({ preventScroll: true });
+  textarea.setSelectionRange(lineStart, lineEnd);
+
+  const top = textOffsetTop(
+    textarea.previousElementSibling,
+    Math.min(lineStart + column - 1, lineEnd)
+  );
+  if (top !== null) {
+    panel.scrollTop +=
+      top - panel.getBoundingClientRect().top - panel.clientHeight / 3;
+  }
+}
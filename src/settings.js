@@ -0,0 +1,117 @@
+// Conversion settings of the app: what presets save, share links carry and
+// a reload restores. The input and its color prop names aren't settings,
+// since they belong to one SVG.
+import {
+  DEFAULT_CODE_STYLE,
+  DEFAULT_COMPONENT_OPTIONS,
+  DEFAULT_GRID_SIZE,
+  DEFAULT_PRECISION,
+  hasErrors,
+  validateOptions,
+} from "./converter";
+
+export const DEFAULT_SETTINGS = {
+  outputMode: "component", // "component" module or bare "snippet"
+  language: "js", // "js" or "ts" output
+  target: "native", // Output target, see OUTPUT_TARGET_LABELS in App
+  themeColors: true, // Turn the palette into color props, or keep every color
+  fontMap: {}, // Web font family -> React Native font name
+  optimizeEnabled: false, // Run the optimization pass before converting
+  precision: DEFAULT_PRECISION, // Decimals kept by the optimizer
+  normalizeEnabled: false, // Fit the artwork to a square grid
+  gridSize: DEFAULT_GRID_SIZE, // Side of the grid's viewBox
+  gridPadding: 0, // Units left free around the artwork
+  codeStyle: DEFAULT_CODE_STYLE, // Prettier options for the output
+  componentOptions: DEFAULT_COMPONENT_OPTIONS, // See COMPONENT_OPTIONS_SCHEMA
+};
+
+// Presets every user has. Saved presets are listed after them.
+export const BUILT_IN_PRESETS = [
+  { name: "Default", settings: DEFAULT_SETTINGS },
+  {
+    name: "Icons 24px themed",
+    settings: {
+      ...DEFAULT_SETTINGS,
+      optimizeEnabled: true,
+      normalizeEnabled: true,
+      gridSize: 24,
+    },
+  },
+  {
+    name: "Illustrations keep colors",
+    settings: {
+      ...DEFAULT_SETTINGS,
+      optimizeEnabled: true,
+      themeColors: false,
+    },
+  },
+];
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Copies the entries of `value` whose type matches the one in `defaults`,
+// taking the defaults for the rest, so stored or shared settings from an
+// older version (or a hand-edited link) can't break the app
+function mergeKnown(defaults, value) {
+  const merged = { ...defaults };
+  if (!isPlainObject(value)) return merged;
+  for (const [name, defaultValue] of Object.entries(defaults)) {
+    const candidate = value[name];
+    if (name === "componentOptions") {
+      merged[name] = sanitizeComponentOptions(candidate);
+    } else if (isPlainObject(defaultValue)) {
+      merged[name] =
+        name === "fontMap"
+          ? Object.fromEntries(
+              Object.entries(isPlainObject(candidate) ? candidate : {}).filter(
+                ([, font]) => typeof font === "string"
+              )
+            )
+          : mergeKnown(defaultValue, candidate);
+    } else if (Array.isArray(defaultValue)) {
+      if (Array.isArray(candidate)) merged[name] = candidate;
+    } else if (typeof candidate === typeof defaultValue) {
+      merged[name] = candidate;
+    }
+  }
+  return merged;
+}
+
+// Component options of the right types can still be invalid (a prop name
+// that isn't an identifier), so they're checked against the schema too
+function sanitizeComponentOptions(value) {
+  const options = mergeKnown(DEFAULT_COMPONENT_OPTIONS, value);
+  return hasErrors(validateOptions(options))
+    ? DEFAULT_COMPONENT_OPTIONS
+    : options;
+}
+
+export function sanitizeSettings(value) {
+  return mergeKnown(DEFAULT_SETTINGS, value);
+}
+
+// Presets leave the font map alone: it follows a project's fonts rather
+// than a kind of artwork
+export function applyPreset(settings, preset) {
+  return { ...preset.settings, fontMap: settings.fontMap };
+}
+
+// The preset whose settings are the current ones, if any
+export function findPreset(presets, settings) {
+  const key = JSON.stringify({ ...settings, fontMap: null });
+  return presets.find(
+    (preset) => JSON.stringify({ ...preset.settings, fontMap: null }) === key
+  );
+}
+
+// Color -> prop name, or null for a hard-coded color
+export function sanitizeColorOverrides(value) {
+  if (!isPlainObject(value)) return {};
+  return Object.fromEntries(
+    Object.entries(value).filter(
+      ([, propName]) => propName === null || typeof propName === "string"
+    )
+  );
+}
@@ -0,0 +1,74 @@
+// Share links: the input, its color props and the settings, compressed into
+// the URL hash (#share=...), so opening the link reproduces the conversion.
+import { deflateSync, inflateSync, strFromU8, strToU8 } from "fflate";
+import { sanitizeColorOverrides, sanitizeSettings } from "./settings";
+
+const HASH_PREFIX = "#share=";
+
+// Bumped when the payload changes incompatibly
+const FORMAT_VERSION = 1;
+
+function toBase64Url(bytes) {
+  let binary = "";
+  // String.fromCharCode takes the bytes as arguments, so go in chunks
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+// URL of the current page that opens `state`: { svgInput, fileName,
+// colorOverrides, settings }
+export function createShareUrl({
+  svgInput,
+  fileName,
+  colorOverrides,
+  settings,
+}) {
+  const payload = JSON.stringify({
+    version: FORMAT_VERSION,
+    svgInput,
+    fileName,
+    colorOverrides,
+    settings,
+  });
+  const url = new URL(window.location.href);
+  url.hash = HASH_PREFIX + toBase64Url(deflateSync(strToU8(payload)));
+  return url.href;
+}
+
+export function isShareHash(hash) {
+  return hash.startsWith(HASH_PREFIX);
+}
+
+// The state a share hash encodes, with unknown or mistyped settings
+// replaced by the defaults. Throws when the hash isn't a readable link.
+export function readShareHash(hash) {
+  let payload;
+  try {
+    const bytes = inflateSync(fromBase64Url(hash.slice(HASH_PREFIX.length)));
+    payload = JSON.parse(strFromU8(bytes));
+  } catch {
+    throw new Error("The link is incomplete or damaged");
+  }
+  if (payload?.version !== FORMAT_VERSION) {
+    throw new Error("The link was made by another version of the app");
+  }
+  if (typeof payload.svgInput !== "string") {
+    throw new Error("The link holds no SVG");
+  }
+  return {
+    svgInput: payload.svgInput,
+    fileName: typeof payload.fileName === "string" ? payload.fileName : null,
+    colorOverrides: sanitizeColorOverrides(payload.colorOverrides),
+    settings: sanitizeSettings(payload.settings),
+  };
+}
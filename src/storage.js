@@ -0,0 +1,103 @@
+// Local persistence of the last session, the conversion history and the
+// saved presets. Storage can be full or disabled (private windows), so
+// reads fall back to defaults and writes report failure instead of
+// throwing.
+import { sanitizeColorOverrides, sanitizeSettings } from "./settings";
+
+const SESSION_KEY = "svg2rn.session";
+const HISTORY_KEY = "svg2rn.history";
+const PRESETS_KEY = "svg2rn.presets";
+
+// Entries kept in the conversion history, newest first
+const HISTORY_LIMIT = 12;
+
+function read(key, fallback) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored === null ? fallback : JSON.parse(stored);
+  } catch {
+    return fallback;
+  }
+}
+
+function write(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The input, file name, color props and settings of the last visit
+export function loadSession() {
+  const session = read(SESSION_KEY, null) ?? {};
+  return {
+    svgInput: typeof session.svgInput === "string" ? session.svgInput : "",
+    fileName: typeof session.fileName === "string" ? session.fileName : null,
+    colorOverrides: sanitizeColorOverrides(session.colorOverrides),
+    settings: sanitizeSettings(session.settings),
+  };
+}
+
+export function saveSession(session) {
+  write(SESSION_KEY, session);
+}
+
+// [{ id, fileName, svg, colorOverrides, settings, thumbnail, timestamp }]
+export function loadHistory() {
+  const history = read(HISTORY_KEY, []);
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter(
+      (entry) => typeof entry?.id === "string" && typeof entry.svg === "string"
+    )
+    .map((entry) => ({
+      ...entry,
+      fileName: typeof entry.fileName === "string" ? entry.fileName : null,
+      colorOverrides: sanitizeColorOverrides(entry.colorOverrides),
+      settings: sanitizeSettings(entry.settings),
+    }));
+}
+
+// Adds an entry, or moves the one with the same id to the top with the new
+// contents. When storage is full the oldest entries make room. Returns the
+// new history.
+export function saveHistoryEntry(entry) {
+  const history = [
+    entry,
+    ...loadHistory().filter(({ id }) => id !== entry.id),
+  ].slice(0, HISTORY_LIMIT);
+  while (history.length > 0) {
+    if (write(HISTORY_KEY, history)) return history;
+    history.pop();
+  }
+  return loadHistory(); // Even the new entry alone doesn't fit
+}
+
+export function removeHistoryEntry(id) {
+  const history = loadHistory().filter((entry) => entry.id !== id);
+  write(HISTORY_KEY, history);
+  return history;
+}
+
+export function clearHistory() {
+  write(HISTORY_KEY, []);
+  return [];
+}
+
+// Saved presets, [{ name, settings }]
+export function loadPresets() {
+  const presets = read(PRESETS_KEY, []);
+  if (!Array.isArray(presets)) return [];
+  return presets
+    .filter((preset) => typeof preset?.name === "string" && preset.name.trim())
+    .map(({ name, settings }) => ({
+      name,
+      settings: sanitizeSettings(settings),
+    }));
+}
+
+export function savePresets(presets) {
+  return write(PRESETS_KEY, presets);
+}
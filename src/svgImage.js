@@ -0,0 +1,70 @@
+// Loads SVG markup as an <img>, for drawing it onto a canvas.
+
+// Browsers only render an SVG image that declares the SVG namespace, which
+// pasted inline markup often leaves out
+function withNamespace(markup) {
+  if (/<svg[^>]*\sxmlns\s*=/.test(markup)) return markup;
+  return markup.replace(/<svg\b/, '<svg xmlns="http://www.w3.org/2000/svg"');
+}
+
+export function toImageUrl(markup) {
+  return URL.createObjectURL(
+    new Blob([withNamespace(markup)], { type: "image/svg+xml" })
+  );
+}
+
+export function loadImage(markup) {
+  return new Promise((resolve, reject) => {
+    const url = toImageUrl(markup);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("The SVG could not be rendered"));
+    };
+    image.src = url;
+  });
+}
+
+// A `size`×`size` PNG data URL of the markup, fitted and centered, for the
+// conversion history
+export async function renderThumbnail(markup, size = 48) {
+  const image = await loadImage(markup);
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const scale = size / Math.max(image.width || size, image.height || size);
+  const width = (image.width || size) * scale;
+  const height = (image.height || size) * scale;
+  canvas
+    .getContext("2d")
+    .drawImage(image, (size - width) / 2, (size - height) / 2, width, height);
+  return canvas.toDataURL("image/png");
+}
+
+// A `width`×`height` PNG blob of the markup, stretched to fill it, on
+// `background` when that's set
+export async function renderPng(markup, width, height, background = null) {
+  const image = await loadImage(markup);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext("2d");
+  if (background) {
+    context.fillStyle = background;
+    context.fillRect(0, 0, width, height);
+  }
+  context.drawImage(image, 0, 0, width, height);
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob
+          ? resolve(blob)
+          : reject(new Error("The PNG could not be encoded")),
+      "image/png"
+    )
+  );
+}
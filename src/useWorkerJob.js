@@ -0,0 +1,70 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+function createWorker() {
+  return new Worker(new URL("./conversionWorker.js", import.meta.url), {
+    type: "module",
+  });
+}
+
+// Runs jobs in a dedicated conversion worker, one at a time. Starting a new
+// job while one is still running cancels the old one: a synchronous
+// conversion can't be interrupted, so the busy worker is terminated and a
+// fresh one takes the new job. Cancelled jobs reject with an AbortError.
+// Returns { run, cancel, busy }.
+export function useWorkerJob() {
+  const workerRef = useRef(null);
+  const pendingRef = useRef(null); // { reject } of the running job
+  const [busy, setBusy] = useState(false);
+
+  const cancel = useCallback(() => {
+    if (!pendingRef.current) return;
+    workerRef.current.terminate();
+    workerRef.current = null;
+    pendingRef.current.reject(
+      new DOMException("The job was cancelled", "AbortError")
+    );
+    pendingRef.current = null;
+    setBusy(false);
+  }, []);
+
+  const run = useCallback(
+    (job) => {
+      cancel();
+      if (!workerRef.current) workerRef.current = createWorker();
+      const worker = workerRef.current;
+      setBusy(true);
+      return new Promise((resolve, reject) => {
+        const pending = { reject };
+        pendingRef.current = pending;
+        const settle = (callback, value) => {
+          if (pendingRef.current !== pending) return;
+          pendingRef.current = null;
+          setBusy(false);
+          callback(value);
+        };
+        worker.onmessage = ({ data }) =>
+          data.error === undefined
+            ? settle(resolve, data.result)
+            : settle(reject, new Error(data.error));
+        worker.onerror = (event) => {
+          event.preventDefault();
+          settle(reject, new Error(event.message || "The worker failed"));
+        };
+        worker.postMessage(job);
+      });
+    },
+    [cancel]
+  );
+
+  // Stop the worker with the component
+  useEffect(
+    () => () => {
+      cancel();
+      if (workerRef.current) workerRef.current.terminate();
+      workerRef.current = null;
+    },
+    [cancel]
+  );
+
+  return { run, cancel, busy };
+}